@@ -1,12 +1,34 @@
-import { put, get, getAll, del, indexGetAllRange, indexGetAllKey } from './db.js';
+import { DB_VERSION, tx, put, get, getAll, del, indexGetAllRange, indexGetAllKey, indexGetFirstInRange, convertLegacyFxRows, convertLegacyPhotos, serializeAttachment, deserializeAttachment } from './db.js';
+import { buildXlsx } from './xlsx.js';
+import { CHART_COLORS, barLineChart, donutChart } from './charts.js';
+import { encryptBackup, decryptBackup, isEncryptedBackup } from './backup-crypto.js';
+import { CURRENCY_LANG_MAP, parseReceipt } from './receipt.js';
+import {
+    minorUnits, toCents, fromCents, amountStep, formatMoney, convertCents, impliedRatePpm, rescaleLegacyAmounts,
+    cashAllocationsOf, cashBaseCents, instrumentOf, cardBaseCents, originalRateRefund, isOriginalRateRefund, rebaseTripRecords
+} from './money.js';
 
 // ---------- Money & Rate helpers ----------
 const PPM = 1_000_000;
 
-const toCents = (n) => Math.round(Number(n) * 100);
-const fromCents = (c) => (c / 100).toFixed(2);
 const rateToPpm = (rateStr) => Math.round(Number(rateStr) * PPM);
-const applyFeePpm = (ppm, feePercent) => Math.round(ppm * (1 + feePercent / 100));
+
+/**
+ * Split an integer cent amount proportionally to `weights` using the largest-remainder
+ * method, so the parts always add back up to exactly `totalCents`.
+ */
+function allocateCents(totalCents, weights) {
+    const sum = weights.reduce((acc, w) => acc + w, 0);
+    if (!sum) return weights.map(() => 0);
+    const sign = totalCents < 0 ? -1 : 1;
+    const abs = Math.abs(totalCents);
+    const raw = weights.map(w => abs * w / sum);
+    const out = raw.map(Math.floor);
+    const rest = abs - out.reduce((acc, c) => acc + c, 0);
+    const order = raw.map((r, i) => [r - out[i], i]).sort((a, b) => b[0] - a[0]);
+    for (let k = 0; k < rest; k++) out[order[k % order.length][1]] += 1;
+    return out.map(c => c * sign);
+}
 const $ = (sel) => document.querySelector(sel);
 
 // ---------- Date helpers (UTC storage ↔ local display) ----------
@@ -41,87 +63,139 @@ function utcDateToLocal(utcDateStr) {
     return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
 }
 
-// ---------- Photo helpers ----------
+/** Number of calendar days from `fromStr` to `toStr` inclusive (both YYYY-MM-DD). */
+function daysInclusive(fromStr, toStr) {
+    const ms = Date.parse(toStr + 'T00:00:00Z') - Date.parse(fromStr + 'T00:00:00Z');
+    return Math.floor(ms / 86_400_000) + 1;
+}
+
+/** The YYYY-MM-DD date `days` after `dateStr`. */
+function addDays(dateStr, days) {
+    return new Date(Date.parse(dateStr + 'T00:00:00Z') + days * 86_400_000).toISOString().slice(0, 10);
+}
+
+// ---------- HTML helpers ----------
+/** Text typed by the user or read from imported files, made safe for `innerHTML`. */
+const escapeHtml = (v) => String(v ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// ---------- Attachment helpers ----------
 const MAX_PHOTO_WIDTH = 1200;
 const PHOTO_QUALITY = 0.8;
+// Table thumbnails are drawn at 40px; this leaves room for high-density screens
+const THUMB_WIDTH = 160;
+const THUMB_QUALITY = 0.7;
 
-function readAndResizePhoto(file) {
+/** Re-encode an image Blob as JPEG, scaled down to at most `maxWidth` pixels wide. */
+function resizeImage(blob, maxWidth, quality) {
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onerror = () => reject(new Error('Failed to read photo file.'));
-        reader.onload = () => {
-            const img = new Image();
-            img.onerror = () => reject(new Error('Failed to decode image.'));
-            img.onload = () => {
-                let { width, height } = img;
-                if (width > MAX_PHOTO_WIDTH) {
-                    height = Math.round(height * (MAX_PHOTO_WIDTH / width));
-                    width = MAX_PHOTO_WIDTH;
-                }
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-                resolve(canvas.toDataURL('image/jpeg', PHOTO_QUALITY));
-            };
-            img.src = reader.result;
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to decode image.'));
         };
-        reader.readAsDataURL(file);
-    });
-}
-
-async function savePhoto(expenseId, dataUrl) {
-    await put('photos', { expenseId, dataUrl });
-}
-
-async function getPhoto(expenseId) {
-    return await get('photos', expenseId);
-}
-
-async function deletePhoto(expenseId) {
-    await del('photos', expenseId);
-}
-
-// ---------- OCR: currency → Tesseract language mapping ----------
-const CURRENCY_LANG_MAP = {
-    EUR: ['spa', 'fra', 'deu', 'ita', 'por', 'nld'],
-    GBP: ['eng'],
-    CAD: ['eng', 'fra'],
-    USD: ['eng', 'spa'],
-    MXN: ['spa'],
-    JPY: ['jpn'],
-    CHF: ['deu', 'fra', 'ita'],
-    BRL: ['por'],
-    SEK: ['swe'],
-    NOK: ['nor'],
-    DKK: ['dan'],
-    PLN: ['pol'],
-    CZK: ['ces'],
-    TRY: ['tur'],
-    THB: ['tha', 'eng'],
-    KRW: ['kor'],
-    CNY: ['chi_sim'],
-    AUD: ['eng'],
-    NZD: ['eng'],
-    HKD: ['eng', 'chi_sim'],
-    SGD: ['eng'],
-    INR: ['eng', 'hin'],
-    ZAR: ['eng'],
-    ILS: ['heb', 'eng'],
-    ARS: ['spa'],
-    CLP: ['spa'],
-    COP: ['spa'],
-    PEN: ['spa'],
-    HUF: ['hun'],
-    RON: ['ron'],
-    BGN: ['bul'],
-    HRK: ['hrv'],
-    ISK: ['isl'],
-    MAD: ['fra', 'ara'],
-    EGP: ['ara', 'eng'],
-};
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            let { width, height } = img;
+            if (width > maxWidth) {
+                height = Math.round(height * (maxWidth / width));
+                width = maxWidth;
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, width, height);
+            canvas.toBlob(out => (out ? resolve(out) : reject(new Error('Failed to encode image.'))), 'image/jpeg', quality);
+        };
+        img.src = url;
+    });
+}
+
+const MAX_PDF_BYTES = 10 * 1024 * 1024;
+
+const isPdfFile = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+
+/** Read a picked file into an attachment record (images are resized and thumbnailed; PDFs are kept as-is). */
+async function fileToAttachment(file, caption = '') {
+    if (isPdfFile(file)) {
+        if (file.size > MAX_PDF_BYTES) throw new Error(`${file.name} is larger than 10 MB.`);
+        return { kind: 'pdf', mimeType: 'application/pdf', name: file.name, caption, blob: new Blob([file], { type: 'application/pdf' }), thumb: null };
+    }
+    if (!String(file.type).startsWith('image/')) throw new Error(`${file.name} is not an image or PDF.`);
+    const blob = await resizeImage(file, MAX_PHOTO_WIDTH, PHOTO_QUALITY);
+    return { kind: 'image', mimeType: 'image/jpeg', name: file.name, caption, blob, thumb: await resizeImage(blob, THUMB_WIDTH, THUMB_QUALITY) };
+}
+
+/** Attachments of one expense in display order. */
+async function listAttachments(expenseId) {
+    const rows = await indexGetAllKey('attachments', 'byExpense', expenseId);
+    return rows.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Append `[{ file, caption, record? }]` to an expense's attachments, reusing `record` when the
+ * file was already read. A file that can't be read is skipped rather than failing the save; the
+ * names of skipped files are returned.
+ */
+async function addAttachments(expenseId, files, log = null) {
+    const existing = await listAttachments(expenseId);
+    let order = existing.length ? existing[existing.length - 1].order + 1 : 0;
+    const failed = [];
+    for (const { file, caption, record } of files) {
+        try {
+            const prepared = record || await fileToAttachment(file);
+            await putLogged(log, 'attachments', { id: crypto.randomUUID(), expenseId, order: order++, ...prepared, caption: (caption || '').trim() });
+        } catch {
+            failed.push(file.name);
+        }
+    }
+    return failed;
+}
 
+async function deleteAttachments(expenseId, log = null) {
+    for (const a of await listAttachments(expenseId)) await delLogged(log, 'attachments', a.id);
+}
+
+/**
+ * Generate missing image thumbnails (attachments migrated or imported from before thumbnails
+ * existed). Returns how many were added.
+ */
+async function backfillThumbnails() {
+    let added = 0;
+    for (const a of await getAll('attachments')) {
+        if (a.kind !== 'image' || a.thumb || !a.blob) continue;
+        try {
+            await put('attachments', { ...a, thumb: await resizeImage(a.blob, THUMB_WIDTH, THUMB_QUALITY) });
+            added++;
+        } catch { /* undecodable image: the table shows a placeholder */ }
+    }
+    return added;
+}
+
+// Object URLs for thumbnails shown in the expense table and inline editor; revoked on each render
+let thumbUrls = [];
+
+function thumbUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    thumbUrls.push(url);
+    return url;
+}
+
+function revokeThumbUrls() {
+    thumbUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbUrls = [];
+}
+
+/** Thumbnail markup for an attachment; PDFs (and images without a thumbnail yet) get an icon. */
+function attachmentThumbHtml(a, className, attrs = '') {
+    const title = escapeHtml(a.caption || a.name || '');
+    if (a.kind === 'image' && a.thumb) return `<img class="${className}" src="${thumbUrl(a.thumb)}" alt="Receipt" title="${title}" ${attrs} />`;
+    return `<span class="${className} attachment-pdf" title="${title}" ${attrs}>${a.kind === 'pdf' ? '📄' : '🖼️'}</span>`;
+}
+
+// ---------- OCR: Tesseract languages (see CURRENCY_LANG_MAP in receipt.js) ----------
 const MAX_OCR_LANGS = 3;
 
 function getOcrLangs(tripCurrencies, homeCurrency) {
@@ -134,98 +208,77 @@ function getOcrLangs(tripCurrencies, homeCurrency) {
     return Array.from(langSet).slice(0, MAX_OCR_LANGS).join('+');
 }
 
-// ---------- OCR: receipt text parsing ----------
-function parseReceipt(ocrText) {
-    const lines = ocrText.split('\n').map(l => l.trim()).filter(Boolean);
-
-    // --- Date extraction ---
-    const datePatterns = [
-        /(\d{4}[-/.]\d{2}[-/.]\d{2})/,           // 2025-06-15
-        /(\d{2}[-/.]\d{2}[-/.]\d{4})/,           // 15/06/2025 or 06-15-2025
-        /(\d{2}[-/.]\d{2}[-/.]\d{2})(?!\d)/,     // 15/06/25 (short year)
-    ];
-    let dateMatch = null;
-    for (const line of lines) {
-        for (const pat of datePatterns) {
-            const m = line.match(pat);
-            if (m) { dateMatch = m[1]; break; }
-        }
-        if (dateMatch) break;
-    }
-
-    // Attempt to normalise the matched date into YYYY-MM-DD
-    let isoDate = null;
-    if (dateMatch) {
-        const cleaned = dateMatch.replace(/[/.]/g, '-');
-        const parts = cleaned.split('-');
-        if (parts.length === 3) {
-            let [a, b, c] = parts;
-            if (a.length === 4) {
-                // YYYY-MM-DD
-                isoDate = `${a}-${b.padStart(2, '0')}-${c.padStart(2, '0')}`;
-            } else if (c.length === 4) {
-                // DD-MM-YYYY or MM-DD-YYYY — assume DD-MM-YYYY (most common outside US)
-                isoDate = `${c}-${b.padStart(2, '0')}-${a.padStart(2, '0')}`;
-            } else if (c.length === 2) {
-                // DD-MM-YY
-                const year = Number(c) > 50 ? `19${c}` : `20${c}`;
-                isoDate = `${year}-${b.padStart(2, '0')}-${a.padStart(2, '0')}`;
-            }
-        }
-        // Validate the result is a real date
-        if (isoDate && isNaN(Date.parse(isoDate))) isoDate = null;
-    }
-
-    // --- Total extraction ---
-    const moneyPattern = /[\$€£¥]?\s?(\d{1,7}[.,]\d{2})\b/g;
-    let totalAmount = null;
-    let largestAmount = 0;
+// ---------- OCR: run Tesseract on a File ----------
+// One Tesseract worker (its own thread) is kept between scans so language data loads once.
+// `ocrWorker` holds the promise of a ready worker; `ocrActiveScan` is the scan whose result
+// still matters — a newer scan or cancelOcr() replaces it and the older result is dropped.
+let ocrWorker = null;
+let ocrWorkerLangs = null;
+let ocrActiveScan = null;
+
+function ocrLogger(info) {
+    const scan = ocrActiveScan;
+    if (!scan || !scan.onProgress) return;
+    const pct = Math.round((info.progress || 0) * 100);
+    scan.onProgress(info.status === 'recognizing text' ? 'recognizing' : 'loading', pct);
+}
 
-    for (const line of lines) {
-        // Prioritise lines with "total" keyword (skip "subtotal")
-        const isTotal = /\btotal\b/i.test(line) && !/\bsub\s?total\b/i.test(line);
-        if (isTotal) {
-            const m = line.match(moneyPattern);
-            if (m) {
-                const val = parseFloat(m[m.length - 1].replace(/[^\d.,]/g, '').replace(',', '.'));
-                if (val > 0) totalAmount = val;
-            }
-        }
-        // Track largest amount as fallback
-        let match;
-        const scanPattern = /[\$€£¥]?\s?(\d{1,7}[.,]\d{2})\b/g;
-        while ((match = scanPattern.exec(line)) !== null) {
-            const val = parseFloat(match[1].replace(',', '.'));
-            if (val > largestAmount) largestAmount = val;
-        }
+/** The shared worker, created or switched to `langs` ("eng+fra") as needed. */
+function getOcrWorker(langs) {
+    if (!ocrWorker) {
+        ocrWorker = Tesseract.createWorker(langs, 1, { logger: ocrLogger });
+    } else if (ocrWorkerLangs !== langs) {
+        ocrWorker = ocrWorker.then(worker => worker.reinitialize(langs).then(() => worker));
     }
+    ocrWorkerLangs = langs;
+    // A worker that failed to load can't be reused; the next scan starts a fresh one
+    ocrWorker.catch(() => { ocrWorker = null; ocrWorkerLangs = null; });
+    return ocrWorker;
+}
 
-    return {
-        date: isoDate || null,
-        total: totalAmount || largestAmount || null,
-    };
+/** Load new languages ahead of the next scan when the trip's currencies change. */
+function refreshOcrLanguages(langs) {
+    if (ocrWorker && !ocrActiveScan && ocrWorkerLangs !== langs) getOcrWorker(langs).catch(() => { /* retried on next scan */ });
 }
 
-// ---------- OCR: run Tesseract on a File ----------
-let ocrWorker = null;
+/** Stop the scan in progress. Tesseract can't abort a page, so the worker is terminated. */
+async function cancelOcr() {
+    if (!ocrActiveScan) return;
+    ocrActiveScan = null;
+    const pending = ocrWorker;
+    ocrWorker = null;
+    ocrWorkerLangs = null;
+    try { (await pending).terminate(); } catch { /* already gone */ }
+}
 
-async function runOcr(file, langs) {
+/**
+ * Recognize `file` with `langs`, reporting `onProgress(stage, pct)` where stage is 'loading'
+ * (model and language data) or 'recognizing'. Resolves to null when the scan was cancelled
+ * or superseded by a newer one.
+ */
+async function runOcr(file, langs, onProgress) {
     // Use the global Tesseract loaded from CDN
     if (typeof Tesseract === 'undefined') {
         throw new Error('Tesseract.js not loaded');
     }
-
-    const result = await Tesseract.recognize(file, langs, {
-        logger: (info) => {
-            if (info.status === 'recognizing text') {
-                const pct = Math.round((info.progress || 0) * 100);
-                const statusText = document.getElementById('ocrStatusText');
-                if (statusText) statusText.textContent = `Scanning receipt… ${pct}%`;
-            }
-        }
-    });
-
-    return result.data.text || '';
+    await cancelOcr();
+    const scan = { onProgress };
+    ocrActiveScan = scan;
+    try {
+        const worker = await getOcrWorker(langs);
+        if (ocrActiveScan !== scan) return null;
+        const result = await worker.recognize(file);
+        if (ocrActiveScan !== scan) return null;
+        return {
+            text: result.data.text || '',
+            words: (result.data.words || []).map(w => ({ text: w.text, bbox: w.bbox }))
+        };
+    } catch (err) {
+        if (ocrActiveScan !== scan) return null;
+        throw err;
+    } finally {
+        if (ocrActiveScan === scan) ocrActiveScan = null;
+    }
 }
 
 // ---------- Active trip ----------
@@ -238,7 +291,21 @@ function getActiveTripId() {
 
 // ---------- Settings helpers (normalize & loader) ----------
 function normalizeSettings(settings) {
-    const s = Object.assign({ homeCurrency: 'CAD', ccFeePercent: 2.5 }, settings || {});
+    const s = Object.assign({ homeCurrency: 'CAD' }, settings || {});
+    if (!Array.isArray(s.participants)) s.participants = [];
+    // Keep the user's provider order, drop unknown ids and append any provider added since
+    const chain = (Array.isArray(s.fxProviders) ? s.fxProviders : []).filter(p => p && FX_PROVIDERS[p.id]);
+    for (const def of DEFAULT_FX_CHAIN) if (!chain.some(p => p.id === def.id)) chain.push({ ...def });
+    s.fxProviders = chain;
+    s.customFx = Object.assign({ urlTemplate: '', ratePath: 'rates.{to}' }, s.customFx || {});
+    if (!s.manualRates || typeof s.manualRates !== 'object') s.manualRates = {};
+    if (!Number.isFinite(s.budgetCents)) s.budgetCents = null;
+    if (!s.categoryBudgets || typeof s.categoryBudgets !== 'object') s.categoryBudgets = {};
+    if (!Array.isArray(s.savedFilters)) s.savedFilters = [];
+    s.cashMethod = s.cashMethod === 'average' ? 'average' : 'fifo';
+    if (!Array.isArray(s.instruments) || !s.instruments.length) s.instruments = defaultInstruments(s.ccFeePercent);
+    s.startDate = s.startDate || null;
+    s.endDate = s.endDate || null;
     if (Array.isArray(s.tripCurrencies)) {
         // already good
     } else if (s.tripCurrency) {
@@ -249,6 +316,10 @@ function normalizeSettings(settings) {
     }
     s.homeCurrency = String(s.homeCurrency || 'CAD').toUpperCase();
     s.tripCurrencies = s.tripCurrencies.map(c => String(c).toUpperCase()).filter(Boolean);
+    if (!Array.isArray(s.legs)) s.legs = [];
+    s.legs.forEach(l => { if (!Array.isArray(l.ocrLangs)) l.ocrLangs = []; });
+    // Every leg's currency is a trip currency, so it is always offered in the pickers
+    for (const leg of s.legs) if (!s.tripCurrencies.includes(leg.currency)) s.tripCurrencies.push(leg.currency);
     if (!s.tripCurrencies.length) s.tripCurrencies = [s.homeCurrency];
     return s;
 }
@@ -258,6 +329,160 @@ async function loadSettings() {
     return normalizeSettings(raw);
 }
 
+async function saveSettings(settings, log = null) {
+    await putLogged(log, 'settings', { ...settings, id: settingsKey() });
+}
+
+// ---------- Change log ----------
+// Edits that can't otherwise be taken back are logged in the `changes` store as
+// `{ id, tripId, at, label, recordIds, entries: [{ store, key, before, after }], undoneAt }`.
+// A null `before` means the write created the record, a null `after` that it deleted it.
+// The change being logged is passed down explicitly as `log`, so writes from other flows
+// running at the same time never end up in it; a null `log` writes without logging.
+// Mutators return the id of their change, so the undo toast takes back exactly that change.
+
+/** `put` that also records the previous state of the record in `log`. */
+async function putLogged(log, store, value) {
+    if (log) log.entries.push({ store, key: value.id, before: (await get(store, value.id)) ?? null, after: structuredClone(value) });
+    await put(store, value);
+}
+
+/** `del` that also records the deleted record in `log`. */
+async function delLogged(log, store, key) {
+    if (log) {
+        const before = await get(store, key);
+        if (before) log.entries.push({ store, key, before, after: null });
+    }
+    await del(store, key);
+}
+
+/**
+ * Run `fn(log)` and save the writes it makes through putLogged/delLogged as one change named
+ * `label`. Given an outer `log`, `fn` writes into that change instead.
+ */
+async function withChangeLog(label, fn, log = null) {
+    if (log) return fn(log);
+    const change = { id: crypto.randomUUID(), tripId: getActiveTripId(), at: new Date().toISOString(), label, entries: [], undoneAt: null };
+    try {
+        return await fn(change);
+    } finally {
+        // Also logged when `fn` failed half way, so whatever it did write can be undone
+        if (change.entries.length) {
+            change.recordIds = Array.from(new Set(change.entries.map(e => e.key)));
+            await put('changes', change);
+        }
+    }
+}
+
+/** Id of the change `log` records, or null while it holds no writes to undo. */
+const changeIdOf = (log) => log.entries.length ? log.id : null;
+
+/** Changes keep full snapshots (photos included), so they expire with the trash retention period. */
+async function pruneChangeLog() {
+    const cutoff = new Date(Date.now() - getTrashRetentionDays() * 86_400_000).toISOString();
+    for (const change of await getAll('changes')) if (change.at < cutoff) await del('changes', change.id);
+}
+
+/** Structural equality of stored records; Blobs are compared by size and type. */
+function sameRecord(a, b) {
+    if (a === b) return true;
+    if (a instanceof Blob || b instanceof Blob) return a instanceof Blob && b instanceof Blob && a.size === b.size && a.type === b.type;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a).filter(k => a[k] !== undefined);
+    const keysB = Object.keys(b).filter(k => b[k] !== undefined);
+    return keysA.length === keysB.length && keysA.every(k => sameRecord(a[k], b[k]));
+}
+
+/** Top-level fields that differ between two versions of a record. */
+const changedFields = (before, after) => Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]))
+    .filter(k => !sameRecord(before?.[k], after?.[k]));
+
+const STORE_NOUNS = { expenses: 'an expense', attachments: 'a photo', categories: 'a category', cashBatches: 'a cash batch', settings: 'the trip settings', trash: 'an item in the trash' };
+
+/**
+ * Put every record a change touched back the way it was; the undo is logged as a change too.
+ * Refuses when a record was edited again since, rather than overwrite the newer edit. Trip
+ * settings hold much more than any one change touches, so only the fields it changed go back.
+ * Returns whether cash expenses now spend more than was bought.
+ */
+async function undoChange(changeId) {
+    const change = await get('changes', changeId);
+    if (!change) throw new Error('That change is no longer in the history.');
+    if (change.undoneAt) throw new Error('That change has already been undone.');
+    // One entry per record: its state before the first write and after the last
+    const records = new Map();
+    for (const { store, key, before, after } of change.entries) {
+        const id = `${store}:${key}`;
+        records.set(id, { store, key, before: records.has(id) ? records.get(id).before : before, after });
+    }
+    const entries = [...records.values()].map(e => ({ ...e, fields: e.store === 'settings' ? changedFields(e.before, e.after) : null }));
+    const current = await Promise.all(entries.map(e => get(e.store, e.key)));
+    const conflict = entries.find((e, i) => e.fields
+        ? e.fields.some(f => !sameRecord(current[i]?.[f], e.after?.[f]))
+        : !sameRecord(current[i] ?? null, e.after));
+    if (conflict) {
+        const what = conflict.store === 'expenses' ? `"${expenseName(conflict.after || conflict.before)}"` : STORE_NOUNS[conflict.store] || 'a record';
+        throw new Error(`Can't undo "${change.label}": ${what} was changed again since. Undo the later changes first.`);
+    }
+    const touchesCash = entries.some(e => e.store === 'cashBatches' || (e.store === 'expenses' && [e.before, e.after].some(r => r?.method === 'cash')));
+    const cashOverspent = await withChangeLog(`Undo: ${change.label}`, async (log) => {
+        for (const [i, { store, key, before, fields }] of entries.entries()) {
+            if (fields && before && current[i]) {
+                const restored = { ...current[i] };
+                for (const f of fields) {
+                    if (before[f] === undefined) delete restored[f];
+                    else restored[f] = before[f];
+                }
+                await putLogged(log, store, restored);
+            } else if (before) await putLogged(log, store, before);
+            else await delLogged(log, store, key);
+        }
+        // The old cash draws may no longer fit what was spent since, so they are replayed
+        return touchesCash && (await reallocateCash(log)).size > 0;
+    });
+    await put('changes', { ...change, undoneAt: new Date().toISOString() });
+    return cashOverspent;
+}
+
+/** Changes that touched expense `expenseId`, newest first. */
+async function listExpenseHistory(expenseId) {
+    const changes = await indexGetAllKey('changes', 'byRecord', expenseId);
+    return changes.sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/**
+ * Put an expense back to how it was just before change `changeId`, with a card expense's fees
+ * re-priced for its instrument as it is now. Refuses versions from before the last home-currency
+ * re-base, whose home amounts are in another currency. Returns the id of the restore and
+ * whether cash expenses now spend more than was bought.
+ */
+async function restoreExpenseVersion(changeId, expenseId) {
+    const change = await get('changes', changeId);
+    const entry = change?.entries.find(e => e.store === 'expenses' && e.key === expenseId);
+    if (!entry?.before) throw new Error('That version is no longer available.');
+    const settings = await loadSettings();
+    if (settings.rebasedAt && change.at < settings.rebasedAt) {
+        throw new Error(`That version is from before the trip's home currency changed to ${settings.homeCurrency}. Edit the expense instead.`);
+    }
+    const restored = structuredClone(entry.before);
+    // Statement amounts are what was actually charged, pending ones have no rate yet and
+    // original-rate refunds follow their original
+    if (restored.method !== 'cash' && !['statement', 'pending', 'original'].includes(restored.fxSource) && restored.fxRatePpm) {
+        Object.assign(restored, cardBaseCents(restored, instrumentOf(settings, restored), settings.homeCurrency));
+    }
+    const current = await get('expenses', expenseId);
+    return withChangeLog(`Restored "${expenseName(restored)}" as of ${formatChangeTime(change.at)}`, async (log) => {
+        await putLogged(log, 'expenses', restored);
+        await repriceOriginalRateRefunds(log);
+        const cashOverspent = [restored, current].some(e => e?.method === 'cash') && (await reallocateCash(log)).size > 0;
+        return { changeId: changeIdOf(log), cashOverspent };
+    });
+}
+
+const expenseName = (e) => e.description || formatMoney(e.amountLocalCents, e.currency);
+
+const formatChangeTime = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
 // ---------- Trip management ----------
 async function listTrips() {
     return await getAll('trips');
@@ -269,23 +494,23 @@ async function createTrip(name) {
     const id = crypto.randomUUID();
     const trip = { id, name, createdAt: new Date().toISOString() };
     await put('trips', trip);
-    await put('settings', { id: `trip:${id}`, homeCurrency: 'CAD', tripCurrencies: ['EUR'], ccFeePercent: 2.5 });
+    await put('settings', { id: `trip:${id}`, homeCurrency: 'CAD', tripCurrencies: ['EUR'], participants: [], instruments: defaultInstruments() });
     await put('categories', { id: crypto.randomUUID(), name: 'Meals', tripId: id });
     return trip;
 }
 
+/** Move a trip and everything in it to the trash. */
 async function deleteTrip(tripId) {
-    const expenses = await indexGetAllKey('expenses', 'byTrip', tripId);
-    for (const e of expenses) {
-        await deletePhoto(e.id);
-        await del('expenses', e.id);
-    }
-    const categories = await indexGetAllKey('categories', 'byTrip', tripId);
-    for (const c of categories) await del('categories', c.id);
-    const cashBatches = await indexGetAllKey('cashBatches', 'byTrip', tripId);
-    for (const b of cashBatches) await del('cashBatches', b.id);
-    await del('settings', `trip:${tripId}`);
-    await del('trips', tripId);
+    const trip = await get('trips', tripId);
+    if (!trip) throw new Error('Trip not found.');
+    const settings = await get('settings', `trip:${tripId}`);
+    const records = { trips: [trip], settings: settings ? [settings] : [], attachments: [] };
+    for (const store of TRIP_STORES) records[store] = await indexGetAllKey(store, 'byTrip', tripId);
+    for (const e of records.expenses) records.attachments.push(...await listAttachments(e.id));
+    await tripTrashTx((stores) => {
+        stores.trash.put({ id: crypto.randomUUID(), kind: 'trip', tripId, label: trip.name, deletedAt: new Date().toISOString(), records });
+        for (const [store, rows] of Object.entries(records)) for (const row of rows) stores[store].delete(row.id);
+    });
 }
 
 async function renameTrip(tripId, newName) {
@@ -297,6 +522,110 @@ async function renameTrip(tripId, newName) {
     await put('trips', trip);
 }
 
+// ---------- Trash ----------
+// Deleted expenses and trips wait in the `trash` store until restored or purged:
+// `{ id, kind: 'expense', tripId, label, deletedAt, expense, attachments, unlinkedRefunds }` or
+// `{ id, kind: 'trip', tripId, label, deletedAt, records: { storeName: [rows] } }`.
+// Attachments keep their Blobs, so a restored expense gets its photos back.
+
+const TRASH_RETENTION_DEFAULT_DAYS = 30;
+// Stores with a `byTrip` index whose rows go to the trash with their trip
+const TRIP_STORES = ['categories', 'cashBatches', 'expenses', 'settlements', 'changes'];
+const TRIP_TRASH_STORES = [...TRIP_STORES, 'trips', 'settings', 'attachments', 'trash'];
+
+/**
+ * Run `fn({ storeName: objectStore })` in one transaction over every store a trip lives in and
+ * the trash, so moving a trip either happens completely or not at all.
+ */
+const tripTrashTx = (fn) => tx(TRIP_TRASH_STORES, 'readwrite', (...stores) => fn(Object.fromEntries(TRIP_TRASH_STORES.map((name, i) => [name, stores[i]]))));
+
+/** Retention applies to every trip, so it lives next to `activeTrip` rather than in trip settings. */
+function getTrashRetentionDays() {
+    const days = Number(localStorage.getItem('trashRetentionDays'));
+    return Number.isInteger(days) && days > 0 ? days : TRASH_RETENTION_DEFAULT_DAYS;
+}
+
+function setTrashRetentionDays(days) {
+    days = Number(days);
+    if (!Number.isInteger(days) || days < 1) throw new Error('Keep deleted items for at least one whole day.');
+    localStorage.setItem('trashRetentionDays', String(days));
+}
+
+/** When `item` will be purged, as an ISO timestamp. */
+const purgeDate = (item) => new Date(Date.parse(item.deletedAt) + getTrashRetentionDays() * 86_400_000).toISOString();
+
+/** Deleted trips, plus the active trip's deleted expenses, newest first. */
+async function listTrash() {
+    const items = (await getAll('trash')).filter(item => item.kind === 'trip' || item.tripId === getActiveTripId());
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/** The active trip's expenses including those in the trash, so nothing they use can be removed. */
+async function expensesIncludingTrash() {
+    const tripId = getActiveTripId();
+    const trashed = (await indexGetAllKey('trash', 'byTrip', tripId)).filter(item => item.kind === 'expense').map(item => item.expense);
+    return [...await indexGetAllKey('expenses', 'byTrip', tripId), ...trashed];
+}
+
+/**
+ * Put a trash item back. Returns the id of the change restoring an expense (trips aren't
+ * logged) and whether cash expenses now spend more than was bought.
+ */
+async function restoreTrashItem(id) {
+    const item = await get('trash', id);
+    if (!item) throw new Error('That item is no longer in the trash.');
+    if (item.kind === 'trip') {
+        if (await get('trips', item.tripId)) throw new Error(`A trip with the same id already exists; delete it before restoring "${item.label}".`);
+        // A trip in the trash can't be re-based, and its records hold its own settings, so they
+        // come back priced in the home currency they were saved with
+        await tripTrashTx((stores) => {
+            for (const [store, rows] of Object.entries(item.records)) for (const row of rows) stores[store].put(row);
+            stores.trash.delete(id);
+        });
+        return { changeId: null, cashOverspent: false };
+    }
+    if (!(await get('trips', item.tripId))) throw new Error('This expense belongs to a deleted trip. Restore the trip first.');
+    return withChangeLog(`Restored "${expenseName(item.expense)}" from the trash`, async (log) => {
+        await putLogged(log, 'expenses', item.expense);
+        for (const a of item.attachments) await putLogged(log, 'attachments', a);
+        // Relink the refunds that were unlinked on delete, unless they were linked elsewhere since
+        for (const { id: refundId, refundRate } of item.unlinkedRefunds) {
+            const refund = await get('expenses', refundId);
+            if (!refund || refund.refundOf) continue;
+            await putLogged(log, 'expenses', { ...refund, refundOf: item.expense.id, refundRate });
+        }
+        await delLogged(log, 'trash', id);
+        await repriceOriginalRateRefunds(log);
+        // Its old cash draw may no longer fit what was spent since it was deleted
+        const cashOverspent = item.expense.method === 'cash' && (await reallocateCash(log)).size > 0;
+        return { changeId: changeIdOf(log), cashOverspent };
+    });
+}
+
+/** Delete a trash item for good; a trip takes its trashed expenses with it. */
+async function purgeTrashItem(id) {
+    const item = await get('trash', id);
+    if (!item) return;
+    if (item.kind === 'trip') for (const e of await indexGetAllKey('trash', 'byTrip', item.tripId)) await del('trash', e.id);
+    await del('trash', id);
+}
+
+async function emptyTrash() {
+    for (const item of await listTrash()) await purgeTrashItem(item.id);
+}
+
+/** Purge everything older than the retention period. Returns how many items were removed. */
+async function purgeExpiredTrash() {
+    const now = new Date().toISOString();
+    let purged = 0;
+    for (const item of await getAll('trash')) {
+        if (purgeDate(item) > now) continue;
+        await del('trash', item.id);
+        purged++;
+    }
+    return purged;
+}
+
 // ---------- Tab navigation ----------
 function initTabs() {
     const buttons = document.querySelectorAll('.tab-btn');
@@ -333,246 +662,985 @@ async function ensureDefaults() {
 }
 
 // ---------- FX Rates ----------
-async function upsertFxRate(dateStr, currency, ratePpm) {
-    const settings = await loadSettings();
-    const row = await get('fxRates', dateStr) || { date: dateStr, base: settings.homeCurrency, rates: {} };
-    row.rates[currency] = ratePpm;
-    await put('fxRates', row);
+// Cached rates are keyed by (date, base, quote): ratePpm is the price of one `quote` unit in `base`.
+async function upsertFxRate(dateStr, base, quote, ratePpm, provider) {
+    await put('fxRates', { date: dateStr, base, quote, ratePpm, provider, fetchedAt: new Date().toISOString() });
 }
 
-async function getFxRatePpmExact(dateStr, currency) {
-    const row = await get('fxRates', dateStr);
-    if (row && row.rates[currency]) return row.rates[currency];
-    return null;
+async function getFxRowExact(dateStr, base, quote) {
+    return await get('fxRates', [dateStr, base, quote]);
 }
 
-async function getFxRowAtOrBefore(dateStr) {
-    const all = await getAll('fxRates');
-    if (!all.length) return null;
-    all.sort((a, b) => new Date(b.date) - new Date(a.date));
-    if (!dateStr) return all[0];
-    const target = new Date(dateStr).getTime();
-    const row = all.find(r => new Date(r.date).getTime() <= target);
-    return row || all[all.length - 1];
+/** Latest cached rate for the pair on or before `dateStr`, else the earliest one after it. */
+async function getFxRowAtOrBefore(dateStr, base, quote) {
+    const date = dateStr || todayUTC();
+    const before = await indexGetFirstInRange('fxRates', 'byPair', [base, quote, ''], [base, quote, date], 'prev');
+    if (before) return before;
+    return await indexGetFirstInRange('fxRates', 'byPair', [base, quote, date], [base, quote, '\uffff']);
 }
 
-async function fetchAndCacheRate(dateStr, currency) {
-    try {
-        const settings = await loadSettings();
-        const to = settings.homeCurrency.toUpperCase();
-        const from = currency.toUpperCase();
-        if (from === to) {
-            const effectiveDate = dateStr || todayUTC();
-            const ppm = PPM;
-            await upsertFxRate(effectiveDate, from, ppm);
-            return { ppm, source: 'identity' };
-        }
-        const datePath = dateStr || 'latest';
-        const frankUrl = `https://api.frankfurter.app/${encodeURIComponent(datePath)}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
-        const res = await fetch(frankUrl);
-        if (!res.ok) return null;
-        const data = await res.json();
-        const rate = (data.rates && data.rates[to]) ?? null;
-        if (!rate) return null;
-        const effectiveDate = data.date || dateStr;
-        const ppm = rateToPpm(String(rate));
-        await upsertFxRate(effectiveDate, from, ppm);
-        return { ppm, source: 'frankfurter' };
-    } catch {
-        return null;
+// ---------- FX rate providers ----------
+// Each provider resolves to { ratePpm, date } (price of one `from` unit in `to`) or throws with a
+// short, user-facing reason. Only `remote` providers use the timeout; `cache: false` providers are
+// consulted live every time instead of being written to the rate cache.
+const DEFAULT_FX_TIMEOUT_MS = 8000;
+
+/** Read a dotted path such as "rates.EUR" or "data.0.rate" out of parsed JSON. */
+function readJsonPath(obj, path) {
+    return path.split('.').filter(Boolean).reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+const FX_PROVIDERS = {
+    frankfurter: {
+        label: 'Frankfurter (ECB)',
+        icon: '🌐',
+        remote: true,
+        cache: true,
+        async fetchRate({ date, from, to, signal }) {
+            const datePath = date || 'latest';
+            const url = `https://api.frankfurter.app/${encodeURIComponent(datePath)}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
+            const res = await fetch(url, { signal });
+            if (!res.ok) throw new Error(res.status === 404 ? `${from} or ${to} not supported` : `HTTP ${res.status}`);
+            const data = await res.json();
+            const rate = (data.rates && data.rates[to]) ?? null;
+            if (!rate) throw new Error(`no ${from}→${to} rate in response`);
+            return { ratePpm: rateToPpm(String(rate)), date: data.date || date };
+        }
+    },
+    custom: {
+        label: 'Custom JSON endpoint',
+        icon: '🔗',
+        remote: true,
+        cache: true,
+        async fetchRate({ date, from, to, signal, settings }) {
+            const { urlTemplate, ratePath } = settings.customFx;
+            if (!urlTemplate) throw new Error('no endpoint configured');
+            const day = date || todayUTC();
+            const fill = (t, encode) => t
+                .replaceAll('{date}', encode ? encodeURIComponent(day) : day)
+                .replaceAll('{from}', encode ? encodeURIComponent(from) : from)
+                .replaceAll('{to}', encode ? encodeURIComponent(to) : to);
+            const res = await fetch(fill(urlTemplate, true), { signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            const rate = Number(readJsonPath(data, fill(ratePath || 'rates.{to}', false)));
+            if (!(rate > 0)) throw new Error(`no rate at "${fill(ratePath || 'rates.{to}', false)}"`);
+            return { ratePpm: rateToPpm(String(rate)), date: day };
+        }
+    },
+    manual: {
+        label: 'Manual rates',
+        icon: '✍️',
+        remote: false,
+        cache: false,
+        async fetchRate({ from, to, settings }) {
+            if (to !== settings.homeCurrency) throw new Error(`manual rates are in ${settings.homeCurrency}`);
+            const ppm = settings.manualRates[from];
+            if (!ppm) throw new Error(`no manual rate for ${from}`);
+            return { ratePpm: ppm, date: null };
+        }
+    }
+};
+
+const DEFAULT_FX_CHAIN = [
+    { id: 'frankfurter', enabled: true, timeoutMs: DEFAULT_FX_TIMEOUT_MS },
+    { id: 'custom', enabled: false, timeoutMs: DEFAULT_FX_TIMEOUT_MS },
+    { id: 'manual', enabled: true, timeoutMs: DEFAULT_FX_TIMEOUT_MS },
+];
+
+// Outcome of the most recent call to each provider, shown in Settings
+const fxProviderStatus = new Map();
+// Per-provider reasons from the most recent chain run that found no rate
+let lastFxErrors = [];
+
+function describeFxErrors() {
+    return lastFxErrors.length ? ` (${lastFxErrors.join('; ')})` : '';
+}
+
+/**
+ * Walk the user's provider chain until one supplies a rate; `source` is that provider's id.
+ * Rates are quoted in the trip's home currency unless another `base` is given.
+ */
+async function fetchAndCacheRate(dateStr, currency, base = null) {
+    const settings = await loadSettings();
+    const to = (base || settings.homeCurrency).toUpperCase();
+    const from = currency.toUpperCase();
+    if (from === to) return { ppm: PPM, source: 'identity' };
+
+    const errors = [];
+    for (const entry of settings.fxProviders) {
+        const provider = FX_PROVIDERS[entry.id];
+        if (!entry.enabled || !provider) continue;
+        const timeoutMs = entry.timeoutMs || DEFAULT_FX_TIMEOUT_MS;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const { ratePpm, date } = await provider.fetchRate({ date: dateStr, from, to, signal: controller.signal, settings });
+            if (provider.cache) await upsertFxRate(date || dateStr || todayUTC(), to, from, ratePpm, entry.id);
+            fxProviderStatus.set(entry.id, { ok: true, message: `${from}→${to} OK`, at: new Date() });
+            lastFxErrors = [];
+            return { ppm: ratePpm, source: entry.id };
+        } catch (err) {
+            const message = err.name === 'AbortError' ? `timed out after ${timeoutMs / 1000}s` : (err.message || String(err));
+            errors.push(`${provider.label}: ${message}`);
+            fxProviderStatus.set(entry.id, { ok: false, message, at: new Date() });
+        } finally {
+            clearTimeout(timer);
+        }
     }
+    lastFxErrors = errors;
+    return null;
 }
 
-async function getOrFetchRate(dateStr, currency) {
+async function getOrFetchRate(dateStr, currency, base = null) {
     currency = currency.toUpperCase();
     const settings = await loadSettings();
-    const home = (settings.homeCurrency || '').toUpperCase();
+    const home = (base || settings.homeCurrency || '').toUpperCase();
     if (currency === home) return { ppm: PPM, source: 'identity' };
-    let ppm = await getFxRatePpmExact(dateStr, currency);
-    if (ppm) return { ppm, source: 'frankfurter' };
-    const fetched = await fetchAndCacheRate(dateStr, currency);
+    const exact = await getFxRowExact(dateStr || todayUTC(), home, currency);
+    if (exact) return { ppm: exact.ratePpm, source: exact.provider || 'frankfurter' };
+    const fetched = await fetchAndCacheRate(dateStr, currency, home);
     if (fetched) return fetched;
-    const fxRow = await getFxRowAtOrBefore(dateStr);
-    if (fxRow && fxRow.rates[currency]) return { ppm: fxRow.rates[currency], source: 'frankfurter' };
+    const nearest = await getFxRowAtOrBefore(dateStr, home, currency);
+    if (nearest) return { ppm: nearest.ratePpm, source: nearest.provider || 'frankfurter' };
     return null;
 }
 
 // ---------- Cash Batches ----------
 async function addCashBatch({ date, currency, rateStr, purchasedAmount }) {
-    await put('cashBatches', {
+    const batch = {
         id: crypto.randomUUID(),
         tripId: getActiveTripId(),
         date,
         currency: currency.toUpperCase(),
         ratePpm: rateToPpm(rateStr),
-        purchasedAmountCents: toCents(purchasedAmount),
+        purchasedAmountCents: toCents(purchasedAmount, currency),
         note: ''
+    };
+    return withChangeLog(`Added ${formatMoney(batch.purchasedAmountCents, batch.currency)} cash batch`, async (log) => {
+        await putLogged(log, 'cashBatches', batch);
+        await reallocateCash(log);
+        return changeIdOf(log);
     });
 }
 
-async function pickCashBatchFor(dateStr, currency) {
-    const batches = await indexGetAllKey('cashBatches', 'byTrip', getActiveTripId());
-    const d = new Date(dateStr).getTime();
-    const candidates = batches.filter(b => b.currency === currency.toUpperCase() && new Date(b.date).getTime() <= d);
-    candidates.sort((a, b) => new Date(b.date) - new Date(a.date));
-    return candidates[0] || null;
+/**
+ * Edit a cash batch and replay the cash expenses against it. Returns the id of the change and
+ * the ids of expenses spending more than was bought.
+ */
+async function updateCashBatch(id, { date, currency, rateStr, purchasedAmount }) {
+    const batch = await get('cashBatches', id);
+    if (!batch) throw new Error('Cash batch not found.');
+    batch.date = date;
+    batch.currency = currency.trim().toUpperCase();
+    batch.ratePpm = rateToPpm(rateStr);
+    // A rate typed by hand is already in the current home currency
+    delete batch.rebaseFrom;
+    batch.purchasedAmountCents = toCents(purchasedAmount, batch.currency);
+    return withChangeLog(`Edited ${formatMoney(batch.purchasedAmountCents, batch.currency)} cash batch`, async (log) => {
+        await putLogged(log, 'cashBatches', batch);
+        const overspent = await reallocateCash(log);
+        return { changeId: changeIdOf(log), overspent };
+    });
 }
 
-async function deleteCashBatch(batchId) {
-    const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
-    const used = exps.some(e => e.cashBatchId === batchId);
-    if (used) return false;
-    await del('cashBatches', batchId);
-    return true;
+/** Local cents consumed from each batch, optionally ignoring one expense (the one being edited). */
+function cashBatchUsage(expenses, excludeExpenseId = null) {
+    const used = new Map();
+    for (const e of expenses) {
+        if (e.id === excludeExpenseId || e.method !== 'cash') continue;
+        for (const a of cashAllocationsOf(e)) used.set(a.batchId, (used.get(a.batchId) || 0) + a.amountLocalCents);
+    }
+    return used;
 }
 
-// ---------- Expenses ----------
-async function addExpense({ date, currency, method, categoryId, description, amountLocal, photoFile }) {
-    const settings = await loadSettings();
-    const amountLocalCents = toCents(amountLocal);
-    currency = currency.toUpperCase();
+// Cash is spent in date order (same-day expenses by id, so a replay always comes out the same)
+const cashSpendOrder = (a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id);
 
-    let baseAmountCents = 0;
-    let cashBatchId = null;
-    let fxRatePpm = null;
-    let fxSource = 'frankfurter';
+/**
+ * Draw a cash expense from `batches` (one currency, oldest first) bought on or before its date,
+ * given the local cents `used` from each batch so far.
+ * 'fifo' empties the oldest batch first and spills into the next one; 'average' draws from every
+ * batch in proportion to what is left, which prices the expense at the weighted-average rate.
+ * Anything beyond the cash left is charged to the newest batch, which then shows as overspent.
+ */
+function drawCash(batches, used, { date, currency, amountLocalCents }, cashMethod, homeCurrency) {
+    batches = batches.filter(b => b.date <= date);
+    if (!batches.length) throw new Error(`No cash batch found for ${currency} on or before ${utcDateToLocal(date)}. Add a cash batch first.`);
 
-    if (method === 'cash') {
-        if (currency === (settings.homeCurrency || '').toUpperCase()) {
-            fxRatePpm = PPM;
-            fxSource = 'identity';
-            baseAmountCents = amountLocalCents;
-            cashBatchId = null;
-        } else {
-            const batch = await pickCashBatchFor(date, currency);
-            if (!batch) throw new Error(`No cash batch found for ${currency} on or before ${utcDateToLocal(date)}. Add a cash batch first.`);
-            cashBatchId = batch.id;
-            fxRatePpm = batch.ratePpm;
-            fxSource = 'cashBatch';
-            baseAmountCents = Math.round(amountLocalCents * batch.ratePpm / PPM);
-        }
+    const available = batches.map(b => Math.max(0, b.purchasedAmountCents - (used.get(b.id) || 0)));
+    const totalAvailable = available.reduce((acc, c) => acc + c, 0);
+    const covered = Math.min(amountLocalCents, totalAvailable);
+
+    let amounts;
+    if (cashMethod === 'average') {
+        amounts = allocateCents(covered, available);
     } else {
-        let result = await getOrFetchRate(date, currency);
-        if (!result) {
-            if (!navigator.onLine) {
-                fxRatePpm = null;
-                fxSource = 'pending';
-                baseAmountCents = null;
-            } else {
-                const fetched = await fetchAndCacheRate(date, currency);
-                if (fetched) result = fetched;
-                else {
-                    const fxRow = await getFxRowAtOrBefore(date);
-                    if (fxRow && fxRow.rates[currency]) result = { ppm: fxRow.rates[currency], source: 'frankfurter' };
-                }
-                if (!result) {
-                    throw new Error(`Unable to fetch FX rate for ${currency} on ${utcDateToLocal(date)}. Check your internet connection and try again.`);
-                }
+        let left = covered;
+        amounts = available.map(avail => {
+            const take = Math.min(avail, left);
+            left -= take;
+            return take;
+        });
+    }
+    const overflowCents = amountLocalCents - covered;
+    amounts[amounts.length - 1] += overflowCents;
+
+    const allocations = batches
+        .map((b, i) => ({ batchId: b.id, amountLocalCents: amounts[i] }))
+        .filter(a => a.amountLocalCents > 0);
+    if (!allocations.length) allocations.push({ batchId: batches[batches.length - 1].id, amountLocalCents: 0 });
+    const batchesById = new Map(batches.map(b => [b.id, b]));
+    // A batch still waiting for its home-currency re-basing rate cannot price anything yet
+    if (allocations.some(a => batchesById.get(a.batchId).rebaseFrom)) {
+        return { allocations, baseAmountCents: null, fxRatePpm: null, overspent: overflowCents > 0 };
+    }
+    const baseAmountCents = cashBaseCents(allocations, batchesById, homeCurrency);
+    const fxRatePpm = amountLocalCents
+        ? impliedRatePpm(amountLocalCents, baseAmountCents, currency, homeCurrency)
+        : batches[batches.length - 1].ratePpm;
+    return { allocations, baseAmountCents, fxRatePpm, overspent: overflowCents > 0 };
+}
+
+/**
+ * Price a cash expense about to be saved from the cash left on its date. Later expenses may
+ * have drawn from the same batches, so the caller re-runs `reallocateCash` once it is saved.
+ */
+async function allocateCash({ date, currency, amountLocalCents, cashMethod, homeCurrency, excludeExpenseId = null }) {
+    const tripId = getActiveTripId();
+    const batches = (await indexGetAllKey('cashBatches', 'byTrip', tripId))
+        .filter(b => b.currency === currency)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const earlier = (await indexGetAllKey('expenses', 'byTrip', tripId)).filter(e => e.date <= date);
+    return drawCash(batches, cashBatchUsage(earlier, excludeExpenseId), { date, currency, amountLocalCents }, cashMethod, homeCurrency);
+}
+
+/**
+ * Replay every cash expense of the trip in date order against the batches, so a back-dated
+ * expense or an edited batch moves later expenses onto the cash that was really left, and
+ * re-price those whose draw changed. Returns the ids of expenses spending more than was bought.
+ */
+async function reallocateCash(log = null) {
+    const tripId = getActiveTripId();
+    const { cashMethod, homeCurrency } = await loadSettings();
+    const batches = (await indexGetAllKey('cashBatches', 'byTrip', tripId)).sort((a, b) => a.date.localeCompare(b.date));
+    const exps = (await indexGetAllKey('expenses', 'byTrip', tripId)).filter(e => e.method === 'cash').sort(cashSpendOrder);
+    const used = new Map();
+    const overspent = new Set();
+    for (const e of exps) {
+        const own = batches.filter(b => b.currency === e.currency);
+        // Refunds hand their cash back to the batches they were priced from; an expense with no
+        // batch on or before its date keeps its draw until one is added
+        if (e.amountLocalCents >= 0 && e.currency !== homeCurrency && own.some(b => b.date <= e.date)) {
+            const cash = drawCash(own, used, e, cashMethod, homeCurrency);
+            if (cash.overspent) overspent.add(e.id);
+            const next = {
+                cashAllocations: cash.allocations,
+                cashBatchId: cash.allocations[0].batchId,
+                baseAmountCents: cash.baseAmountCents,
+                fxRatePpm: cash.fxRatePpm,
+                fxSource: cash.baseAmountCents == null ? 'pending' : 'cashBatch'
+            };
+            if (Object.keys(next).some(k => !sameRecord(e[k], next[k]))) {
+                Object.assign(e, next);
+                await putLogged(log, 'expenses', e);
             }
         }
-        if (result) {
-            fxRatePpm = result.ppm;
-            fxSource = result.source;
-            const eff = (fxSource === 'identity')
-                ? fxRatePpm
-                : applyFeePpm(fxRatePpm, settings.ccFeePercent ?? 2.5);
-            baseAmountCents = Math.round(amountLocalCents * eff / PPM);
-        }
+        for (const a of cashAllocationsOf(e)) used.set(a.batchId, (used.get(a.batchId) || 0) + a.amountLocalCents);
     }
+    return overspent;
+}
 
-    const expenseId = crypto.randomUUID();
-    await put('expenses', {
-        id: expenseId,
-        tripId: getActiveTripId(),
-        date, currency, method, categoryId, description,
-        amountLocalCents, baseAmountCents,
-        fxRatePpm, fxSource, cashBatchId
+/** Delete a cash batch no expense draws from. Returns whether it was deleted and the id of the change. */
+async function deleteCashBatch(batchId) {
+    const exps = await expensesIncludingTrash();
+    const used = exps.some(e => e.method === 'cash' && cashAllocationsOf(e).some(a => a.batchId === batchId));
+    if (used) return { deleted: false, changeId: null };
+    const batch = await get('cashBatches', batchId);
+    const changeId = await withChangeLog(`Deleted ${batch ? formatMoney(batch.purchasedAmountCents, batch.currency) : ''} cash batch`, async (log) => {
+        await delLogged(log, 'cashBatches', batchId);
+        return changeIdOf(log);
     });
+    return { deleted: true, changeId };
+}
 
-    if (photoFile) {
-        try {
-            const dataUrl = await readAndResizePhoto(photoFile);
-            await savePhoto(expenseId, dataUrl);
-        } catch { /* non-fatal */ }
+// ---------- Travelers & expense splits ----------
+async function addParticipant(name) {
+    name = name.trim();
+    if (!name) throw new Error('Traveler name is required.');
+    const settings = await loadSettings();
+    if (settings.participants.some(p => p.name.toLowerCase() === name.toLowerCase())) throw new Error('A traveler with that name already exists.');
+    settings.participants.push({ id: crypto.randomUUID(), name });
+    await saveSettings(settings);
+}
+
+async function renameParticipant(id, newName) {
+    newName = newName.trim();
+    if (!newName) throw new Error('Name required');
+    const settings = await loadSettings();
+    if (settings.participants.some(p => p.name.toLowerCase() === newName.toLowerCase() && p.id !== id)) throw new Error('A traveler with that name already exists.');
+    const participant = settings.participants.find(p => p.id === id);
+    if (!participant) throw new Error('Traveler not found');
+    participant.name = newName;
+    await saveSettings(settings);
+}
+
+async function countParticipantUsage() {
+    const tripId = getActiveTripId();
+    const exps = await expensesIncludingTrash();
+    const settlements = await indexGetAllKey('settlements', 'byTrip', tripId);
+    const map = new Map();
+    const bump = (pid) => { if (pid) map.set(pid, (map.get(pid) || 0) + 1); };
+    for (const e of exps) {
+        const ids = new Set([e.paidBy, ...((e.split && e.split.parts) || []).map(p => p.participantId)]);
+        ids.forEach(bump);
     }
+    for (const st of settlements) { bump(st.fromId); bump(st.toId); }
+    return map;
 }
 
-async function updateExpense(id, { date, currency, method, categoryId, description, amountLocal, photoFile, removePhoto }) {
-    const exp = await get('expenses', id);
-    if (!exp) throw new Error('Expense not found.');
+async function removeParticipantIfUnused(id) {
+    const usage = await countParticipantUsage();
+    if (usage.get(id)) return false;
+    const settings = await loadSettings();
+    settings.participants = settings.participants.filter(p => p.id !== id);
+    await saveSettings(settings);
+    return true;
+}
+
+// ---------- Payment instruments ----------
+const INSTRUMENT_TYPES = { credit: '💳 Credit', debit: '🏧 Debit', prepaid: '🎫 Prepaid', cash: '💵 Cash' };
+
+/** Trips created before instruments existed get one card (with the old trip-wide fee) and cash. */
+function defaultInstruments(ccFeePercent) {
+    return [
+        { id: 'credit', name: 'Credit card', type: 'credit', feePercent: ccFeePercent ?? 2.5, fixedFeeCents: 0 },
+        { id: 'cash', name: 'Cash', type: 'cash', feePercent: 0, fixedFeeCents: 0 }
+    ];
+}
+
+function validateInstrument({ name, type, feePercent, fixedFee }, homeCurrency) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Instrument name is required.');
+    if (!INSTRUMENT_TYPES[type]) throw new Error('Choose a valid instrument type.');
+    feePercent = Number(feePercent || 0);
+    const fixedFeeCents = toCents(fixedFee || 0, homeCurrency);
+    if (!(feePercent >= 0) || !(fixedFeeCents >= 0)) throw new Error('Fees cannot be negative.');
+    // Cash is priced from cash batches, so card fees never apply to it
+    return type === 'cash'
+        ? { name, type, feePercent: 0, fixedFeeCents: 0 }
+        : { name, type, feePercent, fixedFeeCents };
+}
+
+async function addInstrument(fields) {
+    const settings = await loadSettings();
+    const instrument = validateInstrument(fields, settings.homeCurrency);
+    if (settings.instruments.some(i => i.name.toLowerCase() === instrument.name.toLowerCase())) throw new Error('An instrument with that name already exists.');
+    settings.instruments.push({ id: crypto.randomUUID(), ...instrument });
+    await saveSettings(settings);
+}
+
+async function countInstrumentUsage() {
+    const settings = await loadSettings();
+    const exps = await expensesIncludingTrash();
+    const map = new Map();
+    for (const e of exps) {
+        const inst = instrumentOf(settings, e);
+        if (inst) map.set(inst.id, (map.get(inst.id) || 0) + 1);
+    }
+    return map;
+}
+
+/**
+ * Update an instrument and re-price its card expenses so new fees apply to past purchases too.
+ * Returns the id of the change.
+ */
+async function updateInstrument(id, fields) {
+    const settings = await loadSettings();
+    const instrument = settings.instruments.find(i => i.id === id);
+    if (!instrument) throw new Error('Instrument not found.');
+    const next = validateInstrument(fields, settings.homeCurrency);
+    if (settings.instruments.some(i => i.name.toLowerCase() === next.name.toLowerCase() && i.id !== id)) throw new Error('An instrument with that name already exists.');
+    if ((next.type === 'cash') !== (instrument.type === 'cash') && (await countInstrumentUsage()).get(id)) {
+        throw new Error('This instrument is in use; it cannot be switched between cash and card. Add a new instrument instead.');
+    }
+    const label = `Edited payment instrument "${instrument.name}"`;
+    Object.assign(instrument, next);
+    return withChangeLog(label, async (log) => {
+        await saveSettings(settings, log);
+        if (instrument.type === 'cash') return changeIdOf(log);
+        const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+        for (const e of exps) {
+            if (instrumentOf(settings, e)?.id !== id) continue;
+            e.method = instrument.type;
+            // Statement amounts are what was actually charged, pending ones have no rate yet and
+            // original-rate refunds follow their original
+            if (!['statement', 'pending', 'original'].includes(e.fxSource) && e.fxRatePpm) {
+                Object.assign(e, cardBaseCents(e, instrument, settings.homeCurrency));
+            }
+            await putLogged(log, 'expenses', e);
+        }
+        await repriceOriginalRateRefunds(log);
+        return changeIdOf(log);
+    });
+}
+
+async function removeInstrumentIfUnused(id) {
+    const usage = await countInstrumentUsage();
+    if (usage.get(id)) return false;
+    const settings = await loadSettings();
+    if (settings.instruments.length <= 1) throw new Error('Keep at least one payment instrument.');
+    settings.instruments = settings.instruments.filter(i => i.id !== id);
+    await saveSettings(settings);
+    return true;
+}
+
+/** Fees paid on an expense in home cents; expenses saved before fees were tracked get them derived. */
+function feeCentsOf(e, homeCurrency) {
+    if (e.baseAmountCents == null || e.method === 'cash') return 0;
+    if (Number.isFinite(e.feeCents)) return e.feeCents;
+    if (e.fxSource === 'identity' || !e.fxRatePpm) return 0;
+    return Math.max(0, e.baseAmountCents - convertCents(e.amountLocalCents, e.fxRatePpm, e.currency, homeCurrency));
+}
+
+function instrumentOptionsHtml(instruments, selectedId) {
+    return instruments.map(i => `<option value="${i.id}"${i.id === selectedId ? ' selected' : ''}>${INSTRUMENT_TYPES[i.type].split(' ')[0]} ${escapeHtml(i.name)}</option>`).join('');
+}
+
+/**
+ * Validate a split definition against the expense's local amount.
+ * Modes: 'equal' (parts are just the included travelers), 'shares' (value = share weight)
+ * and 'exact' (value = local-currency cents owed by that traveler).
+ */
+function validateSplit(split, amountLocalCents, currency) {
+    if (!split) return null;
+    const mode = ['equal', 'shares', 'exact'].includes(split.mode) ? split.mode : 'equal';
+    const parts = (split.parts || []).filter(p => p && p.participantId);
+    if (!parts.length) throw new Error('Select at least one traveler to split this expense between.');
+    if (mode === 'equal') {
+        return { mode, parts: parts.map(p => ({ participantId: p.participantId, value: 1 })) };
+    }
+    for (const p of parts) {
+        if (!(Number(p.value) > 0)) throw new Error(mode === 'shares' ? 'Each share must be greater than zero.' : 'Each exact amount must be greater than zero.');
+    }
+    if (mode === 'exact') {
+        const sum = parts.reduce((acc, p) => acc + Number(p.value), 0);
+        if (sum !== amountLocalCents) {
+            throw new Error(`Split amounts add up to ${formatMoney(sum, currency)} but the expense is ${formatMoney(amountLocalCents, currency)}.`);
+        }
+    }
+    return { mode, parts: parts.map(p => ({ participantId: p.participantId, value: Number(p.value) })) };
+}
+
+/** Home-currency cents owed by each traveler for one expense, or null if it isn't split. */
+function splitBaseCents(expense) {
+    const split = expense.split;
+    if (!split || !split.parts || !split.parts.length || expense.baseAmountCents == null) return null;
+    // Exact amounts are local cents; using them as weights maps them onto the base amount
+    // (including any card fee) proportionally.
+    const weights = split.parts.map(p => (split.mode === 'equal' ? 1 : Number(p.value) || 0));
+    const alloc = allocateCents(expense.baseAmountCents, weights);
+    const out = new Map();
+    split.parts.forEach((p, i) => out.set(p.participantId, (out.get(p.participantId) || 0) + alloc[i]));
+    return out;
+}
+
+/**
+ * Validate an expense's optional breakdown: line items (each with its own category and a tax
+ * flag) plus explicit tax and tip, all in minor units of `currency`. With line items, items +
+ * tax + tip must add up to the expense amount; without, tax and tip just can't exceed it.
+ */
+function validateBreakdown(breakdown, amountLocalCents, currency) {
+    const taxCents = Number(breakdown?.taxCents) || 0;
+    const tipCents = Number(breakdown?.tipCents) || 0;
+    if (taxCents < 0 || tipCents < 0) throw new Error('Tax and tip cannot be negative.');
+    const items = (breakdown?.lineItems || []).filter(i => i && (i.amountLocalCents || (i.description || '').trim()));
+    for (const item of items) {
+        if (!(Number(item.amountLocalCents) > 0)) throw new Error('Each line item needs an amount greater than zero.');
+        if (!item.categoryId) throw new Error('Choose a category for each line item.');
+    }
+    const total = items.reduce((acc, i) => acc + Number(i.amountLocalCents), 0) + taxCents + tipCents;
+    if (items.length && total !== amountLocalCents) {
+        throw new Error(`Line items plus tax and tip add up to ${formatMoney(total, currency)} but the expense is ${formatMoney(amountLocalCents, currency)}.`);
+    }
+    if (!items.length && total > amountLocalCents) throw new Error('Tax and tip cannot be more than the expense amount.');
+    return {
+        lineItems: items.length
+            ? items.map(i => ({ description: (i.description || '').trim(), categoryId: i.categoryId, amountLocalCents: Number(i.amountLocalCents), taxable: !!i.taxable }))
+            : null,
+        taxCents,
+        tipCents
+    };
+}
+
+/**
+ * Home-currency cents per category for one expense. Line items carry their own category; tax
+ * is spread over the taxable items (all items when none is flagged) and the tip stays with the
+ * expense's own category.
+ */
+function categoryBaseCents(expense) {
+    const base = expense.baseAmountCents || 0;
+    const items = expense.lineItems || [];
+    if (!items.length) return new Map([[expense.categoryId, base]]);
+    const anyTaxable = items.some(i => i.taxable);
+    const tax = allocateCents(expense.taxCents || 0, items.map(i => (!anyTaxable || i.taxable ? i.amountLocalCents : 0)));
+    const tipCents = expense.tipCents || 0;
+    const alloc = allocateCents(base, [...items.map((i, k) => i.amountLocalCents + tax[k]), tipCents]);
+    const out = new Map();
+    [...items.map(i => i.categoryId), expense.categoryId].forEach((catId, k) => {
+        if (k === items.length && !tipCents) return;
+        out.set(catId, (out.get(catId) || 0) + alloc[k]);
+    });
+    return out;
+}
+
+/**
+ * Per-category `{ count, baseCents }` over `expenses`, with line items attributed to their own
+ * categories. `categoryScope` (a Set of ids) keeps only those categories.
+ */
+function categoryTotals(expenses, categoryScope = null) {
+    const totals = new Map();
+    for (const e of expenses) {
+        for (const [catId, baseCents] of categoryBaseCents(e)) {
+            if (categoryScope && !categoryScope.has(catId)) continue;
+            const agg = totals.get(catId) || { count: 0, baseCents: 0 };
+            agg.count += 1;
+            agg.baseCents += baseCents;
+            totals.set(catId, agg);
+        }
+    }
+    return totals;
+}
+
+/** Home-currency amount of `e` that falls in the categories of `categoryScope` (null for all). */
+function scopedBaseCents(e, categoryScope) {
+    if (!categoryScope) return e.baseAmountCents || 0;
+    let cents = 0;
+    for (const [catId, baseCents] of categoryBaseCents(e)) if (categoryScope.has(catId)) cents += baseCents;
+    return cents;
+}
+
+// ---------- Trip legs ----------
+// A trip through several countries is split into legs (`settings.legs`, ordered by date):
+// `{ id, name, startDate, endDate, currency, ocrLangs }` with UTC dates and Tesseract language
+// codes. Legs can't overlap, so any date belongs to at most one leg.
+
+const OCR_LANG_CODE = /^[a-z]{3}(_[a-z]+)?$/;
+
+function validateLeg({ name, startDate, endDate, currency, ocrLangs }) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Leg name is required.');
+    if (!startDate || !endDate) throw new Error('Enter the first and last day of the leg.');
+    if (endDate < startDate) throw new Error('A leg must end on or after its first day.');
+    currency = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) throw new Error('Enter the leg currency as a 3-letter code, e.g. CHF.');
+    const langs = (Array.isArray(ocrLangs) ? ocrLangs : String(ocrLangs || '').split(/[\s,+]+/))
+        .map(l => l.trim().toLowerCase()).filter(Boolean);
+    const bad = langs.find(l => !OCR_LANG_CODE.test(l));
+    if (bad) throw new Error(`"${bad}" is not a Tesseract language code (e.g. deu, ita, hrv).`);
+    return { name, startDate, endDate, currency, ocrLangs: Array.from(new Set(langs)) };
+}
+
+/** Save `leg` (new when `id` is null) after checking it doesn't overlap another leg. */
+async function saveLeg(id, fields) {
+    const settings = await loadSettings();
+    const leg = validateLeg(fields);
+    const clash = settings.legs.find(l => l.id !== id && l.startDate <= leg.endDate && leg.startDate <= l.endDate);
+    if (clash) throw new Error(`These dates overlap the "${clash.name}" leg.`);
+    settings.legs = [...settings.legs.filter(l => l.id !== id), { id: id || crypto.randomUUID(), ...leg }]
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    await saveSettings(settings);
+}
+
+async function removeLeg(id) {
+    const settings = await loadSettings();
+    settings.legs = settings.legs.filter(l => l.id !== id);
+    await saveSettings(settings);
+}
+
+/** The leg whose dates include `date` (UTC YYYY-MM-DD), or null. */
+function legForDate(settings, date) {
+    return date ? settings.legs.find(l => l.startDate <= date && date <= l.endDate) || null : null;
+}
+
+/** The currency an expense on `date` most likely uses: its leg's, else the first trip currency. */
+function defaultCurrencyFor(settings, date) {
+    return legForDate(settings, date)?.currency || settings.tripCurrencies[0];
+}
+
+/** OCR languages for a receipt from `date`: the leg's own list, else its currency's, else the whole trip's. */
+function ocrLangsFor(settings, date) {
+    const leg = legForDate(settings, date);
+    if (!leg) return getOcrLangs(settings.tripCurrencies, settings.homeCurrency);
+    if (leg.ocrLangs.length) return Array.from(new Set(['eng', ...leg.ocrLangs])).slice(0, MAX_OCR_LANGS).join('+');
+    return getOcrLangs([leg.currency], settings.homeCurrency);
+}
+
+/** "2026-06-01 – 2026-06-07" in local dates. */
+const legDatesText = (leg) => `${utcDateToLocal(leg.startDate)} – ${utcDateToLocal(leg.endDate)}`;
+
+// ---------- Coverage periods ----------
+// A hotel stay or rail pass can be paid once for several days. `coverage` is `{ start, end }`
+// (UTC YYYY-MM-DD, inclusive) and the amount is spread evenly over those days in summaries and
+// date filters. The payment `date` still decides the FX rate and which cash batches are used.
+
+/** Check a `{ start, end }` pair from a form; both empty means the expense covers only its date. */
+function validateCoverage(coverage) {
+    if (!coverage || (!coverage.start && !coverage.end)) return null;
+    const { start, end } = coverage;
+    if (!start || !end) throw new Error('Enter both the first and the last day the expense covers.');
+    if (end < start) throw new Error('The coverage period must end on or after its first day.');
+    return { start, end };
+}
+
+/** First and last day an expense counts toward: its coverage period, or just its date. */
+const coverageOf = (e) => e.coverage || { start: e.date, end: e.date };
+
+/** Whether any day `e` covers falls within [startDate, endDate] (either bound may be null). */
+function overlapsRange(e, startDate, endDate) {
+    const { start, end } = coverageOf(e);
+    return (!startDate || end >= startDate) && (!endDate || start <= endDate);
+}
+
+/**
+ * The part of `e` that falls within [startDate, endDate]: the expense itself when every day it
+ * covers is inside, a copy with its amounts cut to the days inside, or null when none are.
+ * Cuts are differences of cumulative rounding, so the parts of adjacent ranges add up exactly.
+ */
+function prorateExpense(e, startDate, endDate) {
+    const { start, end } = coverageOf(e);
+    const total = daysInclusive(start, end);
+    const from = startDate && startDate > start ? daysInclusive(start, startDate) - 1 : 0;
+    const to = endDate && endDate < end ? daysInclusive(start, endDate) : total;
+    if (to <= from) return null;
+    if (from === 0 && to === total) return e;
+    const cut = (cents) => (Number.isFinite(cents) ? Math.round(cents * to / total) - Math.round(cents * from / total) : cents);
+    return {
+        ...e,
+        amountLocalCents: cut(e.amountLocalCents),
+        baseAmountCents: cut(e.baseAmountCents),
+        feeCents: cut(e.feeCents),
+        coveredDays: to - from
+    };
+}
+
+/** `expenses` amortized to [startDate, endDate], for totals that follow the date filter. */
+const amortizeExpenses = (expenses, startDate, endDate) =>
+    expenses.map(e => prorateExpense(e, startDate, endDate)).filter(Boolean);
+
+/** "Covers 3 Mar – 8 Mar (6 days)" for an expense with a coverage period, otherwise ''. */
+function coverageText(e) {
+    if (!e.coverage) return '';
+    const { start, end } = e.coverage;
+    const days = daysInclusive(start, end);
+    return `Covers ${utcDateToLocal(start)} – ${utcDateToLocal(end)} (${days} day${days === 1 ? '' : 's'})`;
+}
+
+// ---------- Expenses ----------
+
+/** Rate for a card purchase: cached, fetched or nearest cached; null means offline (leave it pending). */
+async function resolveCardRate(date, currency, settings) {
+    const result = await getOrFetchRate(date, currency);
+    if (result) return result;
+    if (!navigator.onLine) return null;
+    const fetched = await fetchAndCacheRate(date, currency);
+    if (fetched) return fetched;
+    const fxRow = await getFxRowAtOrBefore(date, settings.homeCurrency, currency);
+    if (fxRow) return { ppm: fxRow.ratePpm, source: fxRow.provider || 'frankfurter' };
+    throw new Error(`Unable to fetch FX rate for ${currency} on ${utcDateToLocal(date)}${describeFxErrors()}. Check your rate providers in Settings or your internet connection and try again.`);
+}
+
+/** Local cents already refunded against an expense, optionally ignoring one refund (the one being edited). */
+function refundedCents(expenses, originalId, excludeId = null) {
+    return expenses
+        .filter(e => e.kind === 'refund' && e.refundOf === originalId && e.id !== excludeId)
+        .reduce((acc, e) => acc - e.amountLocalCents, 0);
+}
+
+/**
+ * Price a refund (a negative local amount). Card refunds convert at their own date's rate without
+ * card fees, or at the linked expense's effective rate so that a full refund cancels it exactly.
+ * Cash goes back into the batches the original drew from, else the newest batch by the refund date.
+ */
+async function priceRefund({ id = null, date, currency, method, amountLocalCents, refundOf, refundRate, settings }) {
+    const home = settings.homeCurrency;
+    const tripExpenses = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+    const original = refundOf ? tripExpenses.find(e => e.id === refundOf) : null;
+    if (refundOf && !original) throw new Error('The expense being refunded no longer exists.');
+    if (original && original.kind === 'refund') throw new Error('A refund cannot be linked to another refund.');
+    if (original && original.currency === currency && refundedCents(tripExpenses, original.id, id) - amountLocalCents > original.amountLocalCents) {
+        throw new Error(`Refunds would add up to more than the original ${formatMoney(original.amountLocalCents, currency)}.`);
+    }
+    const priced = { feeCents: 0, cashAllocations: null, cashBatchId: null };
+
+    if (currency === home) return { ...priced, baseAmountCents: amountLocalCents, fxRatePpm: PPM, fxSource: 'identity' };
+
+    if (method === 'cash') {
+        const batches = (await indexGetAllKey('cashBatches', 'byTrip', getActiveTripId())).filter(b => b.currency === currency);
+        const batchesById = new Map(batches.map(b => [b.id, b]));
+        const fromOriginal = original && original.currency === currency
+            ? cashAllocationsOf(original).filter(a => batchesById.has(a.batchId) && a.amountLocalCents > 0)
+            : [];
+        let allocations;
+        if (fromOriginal.length) {
+            const parts = allocateCents(amountLocalCents, fromOriginal.map(a => a.amountLocalCents));
+            allocations = fromOriginal.map((a, i) => ({ batchId: a.batchId, amountLocalCents: parts[i] }));
+        } else {
+            const newest = batches.filter(b => b.date <= date).sort((a, b) => b.date.localeCompare(a.date))[0];
+            if (!newest) throw new Error(`No cash batch found for ${currency} on or before ${utcDateToLocal(date)} to return this cash to.`);
+            allocations = [{ batchId: newest.id, amountLocalCents }];
+        }
+        priced.cashAllocations = allocations;
+        priced.cashBatchId = allocations[0].batchId;
+        if (allocations.some(a => batchesById.get(a.batchId).rebaseFrom)) return { ...priced, baseAmountCents: null, fxRatePpm: null, fxSource: 'pending' };
+        const baseAmountCents = cashBaseCents(allocations, batchesById, home);
+        const fxRatePpm = amountLocalCents ? impliedRatePpm(amountLocalCents, baseAmountCents, currency, home) : batchesById.get(allocations[0].batchId).ratePpm;
+        return { ...priced, baseAmountCents, fxRatePpm, fxSource: 'cashBatch' };
+    }
+
+    if (refundRate === 'original') {
+        if (!original) throw new Error('Choose the expense being refunded to use its rate.');
+        if (original.currency !== currency) throw new Error(`Refunding at the original rate needs the original currency (${original.currency}).`);
+        if (original.baseAmountCents == null) throw new Error('The original expense has no rate yet. Refund at the refund date\'s rate instead.');
+        return { ...priced, ...originalRateRefund(amountLocalCents, original) };
+    }
+
+    const result = await resolveCardRate(date, currency, settings);
+    if (!result) return { ...priced, baseAmountCents: null, fxRatePpm: null, fxSource: 'pending' };
+    return {
+        ...priced,
+        baseAmountCents: convertCents(amountLocalCents, result.ppm, currency, home),
+        fxRatePpm: result.ppm,
+        fxSource: result.source
+    };
+}
+
+/** Keep refunds priced at their original's rate in step after the original was re-priced. */
+async function repriceOriginalRateRefunds(log = null) {
+    const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+    const byId = new Map(exps.map(e => [e.id, e]));
+    for (const e of exps) {
+        if (!isOriginalRateRefund(e)) continue;
+        const original = byId.get(e.refundOf);
+        if (!original || original.baseAmountCents == null) continue;
+        const next = originalRateRefund(e.amountLocalCents, original);
+        if (next.baseAmountCents === e.baseAmountCents && next.fxRatePpm === e.fxRatePpm) continue;
+        await putLogged(log, 'expenses', { ...e, ...next });
+    }
+}
+
+async function addExpense({ date, currency, instrumentId, categoryId, description, amountLocal, attachments = [], paidBy = null, split = null, breakdown = null, kind = 'expense', refundOf = null, refundRate = 'own', ocrText = null, coverage = null }) {
+    const settings = await loadSettings();
+    const instrument = settings.instruments.find(i => i.id === instrumentId);
+    if (!instrument) throw new Error('Choose a payment instrument.');
+    const method = instrument.type;
+    currency = currency.toUpperCase();
+    // Refunds are entered as a positive amount and stored negative, so every total nets them out
+    const isRefund = kind === 'refund';
+    const enteredCents = toCents(amountLocal, currency);
+    if (!(enteredCents >= 0)) throw new Error('Enter the amount as a positive number.');
+    const amountLocalCents = isRefund ? -enteredCents : enteredCents;
+    split = validateSplit(split, enteredCents, currency);
+    if (split && !paidBy) throw new Error('Choose who paid for this expense.');
+    const { lineItems, taxCents, tipCents } = validateBreakdown(breakdown, enteredCents, currency);
+    coverage = validateCoverage(coverage);
+
+    let baseAmountCents = 0;
+    let cashBatchId = null;
+    let cashAllocations = null;
+    let cashOverspent = false;
+    let fxRatePpm = null;
+    let fxSource = 'frankfurter';
+    let feeCents = 0;
+
+    if (isRefund) {
+        ({ baseAmountCents, feeCents, fxRatePpm, fxSource, cashAllocations, cashBatchId } = await priceRefund({
+            date, currency, method, amountLocalCents, refundOf, refundRate, settings
+        }));
+    } else if (method === 'cash') {
+        if (currency === (settings.homeCurrency || '').toUpperCase()) {
+            fxRatePpm = PPM;
+            fxSource = 'identity';
+            baseAmountCents = amountLocalCents;
+            cashBatchId = null;
+        } else {
+            const cash = await allocateCash({ date, currency, amountLocalCents, cashMethod: settings.cashMethod, homeCurrency: settings.homeCurrency });
+            cashAllocations = cash.allocations;
+            cashBatchId = cashAllocations[0].batchId;
+            cashOverspent = cash.overspent;
+            fxRatePpm = cash.fxRatePpm;
+            fxSource = cash.baseAmountCents == null ? 'pending' : 'cashBatch';
+            baseAmountCents = cash.baseAmountCents;
+        }
+    } else {
+        const result = await resolveCardRate(date, currency, settings);
+        if (!result) {
+            fxRatePpm = null;
+            fxSource = 'pending';
+            baseAmountCents = null;
+        } else {
+            fxRatePpm = result.ppm;
+            fxSource = result.source;
+            ({ baseAmountCents, feeCents } = cardBaseCents({ amountLocalCents, currency, fxRatePpm, fxSource }, instrument, settings.homeCurrency));
+        }
+    }
+
+    const expenseId = crypto.randomUUID();
+    const expense = {
+        id: expenseId,
+        tripId: getActiveTripId(),
+        date, currency, method, instrumentId, categoryId, description,
+        amountLocalCents, baseAmountCents, feeCents,
+        fxRatePpm, fxSource, cashBatchId, cashAllocations,
+        paidBy: paidBy || null, split,
+        lineItems, taxCents, tipCents, coverage,
+        ocrText: ocrText || null,
+        ...(isRefund ? { kind, refundOf: refundOf || null, refundRate: refundRate === 'original' ? 'original' : 'own' } : {})
+    };
+    return withChangeLog(`Added "${expenseName(expense)}"`, async (log) => {
+        await putLogged(log, 'expenses', expense);
+        if (cashAllocations) cashOverspent = (await reallocateCash(log)).has(expenseId);
+        const failedAttachments = await addAttachments(expenseId, attachments, log);
+        return { id: expenseId, changeId: changeIdOf(log), cashOverspent, failedAttachments };
+    });
+}
+
+/**
+ * Attachment changes are optional: `attachments` are new `{ file, caption }` entries,
+ * `removeAttachmentIds` are deleted and `captions` maps attachment id → new caption.
+ */
+async function updateExpense(id, { date, currency, instrumentId, categoryId, description, amountLocal, attachments = [], removeAttachmentIds = [], captions = {}, paidBy, split, breakdown, coverage }) {
+    const exp = await get('expenses', id);
+    if (!exp) throw new Error('Expense not found.');
+    const settings = await loadSettings();
+    const instrument = settings.instruments.find(i => i.id === instrumentId);
+    if (!instrument) throw new Error('Choose a payment instrument.');
+    const method = instrument.type;
+    const wasCash = exp.method === 'cash';
+
+    // A statement-reconciled amount is what was actually charged; keep it unless the edit
+    // changes what was charged (date, currency, instrument or amount).
+    const keepStatement = exp.fxSource === 'statement'
+        && exp.date === date && instrumentOf(settings, exp)?.id === instrumentId
+        && exp.currency === currency.toUpperCase() && Math.abs(exp.amountLocalCents) === toCents(amountLocal, currency);
 
     exp.date = date;
     exp.currency = currency.toUpperCase();
     exp.method = method;
+    exp.instrumentId = instrumentId;
     exp.categoryId = categoryId;
     exp.description = description;
-    exp.amountLocalCents = toCents(amountLocal);
+    const enteredCents = toCents(amountLocal, exp.currency);
+    if (!(enteredCents >= 0)) throw new Error('Enter the amount as a positive number.');
+    const isRefund = exp.kind === 'refund';
+    exp.amountLocalCents = isRefund ? -enteredCents : enteredCents;
+    // Payer, split and breakdown are optional here; when omitted the stored ones are kept (and
+    // re-validated because an exact split or line items must still match a changed amount).
+    if (paidBy !== undefined) exp.paidBy = paidBy || null;
+    exp.split = validateSplit(split !== undefined ? split : exp.split, enteredCents, exp.currency);
+    if (exp.split && !exp.paidBy) throw new Error('Choose who paid for this expense.');
+    Object.assign(exp, validateBreakdown(breakdown !== undefined ? breakdown : exp, enteredCents, exp.currency));
+    if (coverage !== undefined) exp.coverage = validateCoverage(coverage);
 
-    const settings = await loadSettings();
     let baseAmountCents = null;
     let cashBatchId = null;
+    let cashAllocations = null;
+    let cashOverspent = false;
     let fxRatePpm = null;
     let fxSource = 'frankfurter';
-
-    if (method === 'cash') {
+    let feeCents = 0;
+
+    if (isRefund) {
+        ({ baseAmountCents, feeCents, fxRatePpm, fxSource, cashAllocations, cashBatchId } = await priceRefund({
+            id, date, currency: exp.currency, method, amountLocalCents: exp.amountLocalCents,
+            refundOf: exp.refundOf, refundRate: exp.refundRate, settings
+        }));
+    } else if (method === 'cash') {
         if (exp.currency === (settings.homeCurrency || '').toUpperCase()) {
             fxRatePpm = PPM;
             fxSource = 'identity';
             baseAmountCents = exp.amountLocalCents;
             cashBatchId = null;
         } else {
-            const batch = await pickCashBatchFor(date, exp.currency);
-            if (!batch) throw new Error(`No cash batch found for ${exp.currency} on or before ${utcDateToLocal(date)}. Add a cash batch first.`);
-            cashBatchId = batch.id;
-            fxRatePpm = batch.ratePpm;
-            fxSource = 'cashBatch';
-            baseAmountCents = Math.round(exp.amountLocalCents * batch.ratePpm / PPM);
+            const cash = await allocateCash({ date, currency: exp.currency, amountLocalCents: exp.amountLocalCents, cashMethod: settings.cashMethod, homeCurrency: settings.homeCurrency, excludeExpenseId: id });
+            cashAllocations = cash.allocations;
+            cashBatchId = cashAllocations[0].batchId;
+            cashOverspent = cash.overspent;
+            fxRatePpm = cash.fxRatePpm;
+            fxSource = cash.baseAmountCents == null ? 'pending' : 'cashBatch';
+            baseAmountCents = cash.baseAmountCents;
         }
+    } else if (keepStatement) {
+        fxRatePpm = exp.fxRatePpm;
+        fxSource = 'statement';
+        baseAmountCents = exp.baseAmountCents;
+        feeCents = feeCentsOf(exp, settings.homeCurrency);
     } else {
-        let result = await getOrFetchRate(date, exp.currency);
+        const result = await resolveCardRate(date, exp.currency, settings);
         if (!result) {
-            if (!navigator.onLine) {
-                fxRatePpm = null;
-                fxSource = 'pending';
-                baseAmountCents = null;
-            } else {
-                const fetched = await fetchAndCacheRate(date, exp.currency);
-                if (fetched) result = fetched;
-                else {
-                    const fxRow = await getFxRowAtOrBefore(date);
-                    if (fxRow && fxRow.rates[exp.currency]) result = { ppm: fxRow.rates[exp.currency], source: 'frankfurter' };
-                }
-                if (!result) throw new Error(`Unable to fetch FX rate for ${exp.currency} on ${utcDateToLocal(date)}.`);
-            }
-        }
-        if (result) {
+            fxRatePpm = null;
+            fxSource = 'pending';
+            baseAmountCents = null;
+        } else {
             fxRatePpm = result.ppm;
             fxSource = result.source;
-            const eff = (fxSource === 'identity')
-                ? fxRatePpm
-                : applyFeePpm(fxRatePpm, settings.ccFeePercent ?? 2.5);
-            baseAmountCents = Math.round(exp.amountLocalCents * eff / PPM);
+            ({ baseAmountCents, feeCents } = cardBaseCents({ ...exp, fxRatePpm, fxSource }, instrument, settings.homeCurrency));
         }
     }
 
     exp.baseAmountCents = baseAmountCents;
+    exp.feeCents = feeCents;
     exp.fxRatePpm = fxRatePpm;
     exp.fxSource = fxSource;
     exp.cashBatchId = cashBatchId;
-    await put('expenses', exp);
-
-    if (removePhoto) await deletePhoto(id);
-    if (photoFile) {
-        try {
-            const dataUrl = await readAndResizePhoto(photoFile);
-            await savePhoto(id, dataUrl);
-        } catch { /* non-fatal */ }
+    exp.cashAllocations = cashAllocations;
+    if (!keepStatement) {
+        delete exp.statementRef;
+        delete exp.estimatedBaseAmountCents;
+        delete exp.estimatedFeeCents;
     }
+    return withChangeLog(`Edited "${expenseName(exp)}"`, async (log) => {
+        for (const attachmentId of removeAttachmentIds) await delLogged(log, 'attachments', attachmentId);
+        for (const a of await listAttachments(id)) {
+            if (captions[a.id] == null || captions[a.id].trim() === a.caption) continue;
+            await putLogged(log, 'attachments', { ...a, caption: captions[a.id].trim() });
+        }
+        const failedAttachments = await addAttachments(id, attachments, log);
+        // Saved OCR text came from a scanned image; drop it once no image is left
+        if (exp.ocrText && !(await listAttachments(id)).some(a => a.kind === 'image')) exp.ocrText = null;
+        await putLogged(log, 'expenses', exp);
+        if (wasCash || method === 'cash') cashOverspent = (await reallocateCash(log)).has(id);
+        if (!isRefund) await repriceOriginalRateRefunds(log);
+        return { id, changeId: changeIdOf(log), cashOverspent, failedAttachments };
+    });
 }
 
+/** Move an expense and its attachments to the trash. Returns the id of the change. */
 async function deleteExpense(id) {
-    await deletePhoto(id);
-    await del('expenses', id);
+    const exp = await get('expenses', id);
+    if (!exp) return null;
+    return withChangeLog(`Deleted "${expenseName(exp)}"`, async (log) => {
+        // Refunds of a deleted expense stay (the money did come back) but lose their link
+        const unlinkedRefunds = [];
+        const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+        for (const e of exps) {
+            if (e.refundOf !== id) continue;
+            unlinkedRefunds.push({ id: e.id, refundRate: e.refundRate });
+            e.refundOf = null;
+            if (e.fxSource === 'original') e.refundRate = 'own';
+            await putLogged(log, 'expenses', e);
+        }
+        await putLogged(log, 'trash', {
+            id: crypto.randomUUID(), kind: 'expense', tripId: exp.tripId,
+            label: `${utcDateToLocal(exp.date)} • ${formatMoney(exp.amountLocalCents, exp.currency)} • ${expenseName(exp)}`,
+            deletedAt: new Date().toISOString(), expense: exp, attachments: await listAttachments(id), unlinkedRefunds
+        });
+        await deleteAttachments(id, log);
+        await delLogged(log, 'expenses', id);
+        // The cash it drew from goes back to the expenses after it
+        if (exp.method === 'cash') await reallocateCash(log);
+        return changeIdOf(log);
+    });
 }
 
 // ---------- Queries & conversions ----------
@@ -580,26 +1648,275 @@ async function getExpensesInRange(startDate, endDate) {
     const tripId = getActiveTripId();
     const allForTrip = await indexGetAllKey('expenses', 'byTrip', tripId);
     if (!startDate && !endDate) return allForTrip;
-    return allForTrip.filter(e => {
-        if (startDate && e.date < startDate) return false;
-        if (endDate && e.date > endDate) return false;
-        return true;
-    });
+    // An expense with a coverage period shows up in every range that shares one of its days
+    return allForTrip.filter(e => overlapsRange(e, startDate, endDate));
 }
 
 async function sumBaseCents(expenses) {
     return expenses.reduce((acc, e) => acc + (e.baseAmountCents || 0), 0);
 }
 
-async function convertBaseToTargetCents(baseCents, targetCurrency, endDate) {
+/** Resolve the home→target rate once and return a cents converter (for converting many amounts). */
+async function getBaseToTargetConverter(targetCurrency, endDate) {
     const settings = await loadSettings();
     const home = settings.homeCurrency.toUpperCase();
     targetCurrency = targetCurrency.toUpperCase();
-    if (targetCurrency === home) return baseCents;
+    if (targetCurrency === home) return (baseCents) => baseCents;
     const result = await getOrFetchRate(endDate || todayUTC(), targetCurrency);
-    if (!result) throw new Error(`Unable to fetch FX rate for ${targetCurrency}. Check your internet connection.`);
+    if (!result) throw new Error(`Unable to fetch FX rate for ${targetCurrency}${describeFxErrors()}. Check your internet connection.`);
     const homeToTargetPpm = Math.round(PPM / (result.ppm / PPM));
-    return Math.round(baseCents * homeToTargetPpm / PPM);
+    return (baseCents) => convertCents(baseCents, homeToTargetPpm, home, targetCurrency);
+}
+
+async function convertBaseToTargetCents(baseCents, targetCurrency, endDate) {
+    const convert = await getBaseToTargetConverter(targetCurrency, endDate);
+    return convert(baseCents);
+}
+
+// ---------- Summary filters ----------
+// One filter drives the Summary table, its totals, the exports and the report. Saved filters are
+// `{ id, name, filter }` in the trip's settings.
+const EMPTY_FILTER = {
+    startDate: null, endDate: null, categoryIds: [], instrumentIds: [], currencies: [], fxSources: [],
+    minCents: null, maxCents: null, receipt: '', text: ''
+};
+
+const FX_SOURCE_NAMES = {
+    pending: 'Pending rate',
+    statement: 'Card statement',
+    original: "Original expense's rate",
+    cashBatch: 'Cash batch',
+    identity: 'Home currency'
+};
+
+const fxSourceName = (source) => FX_PROVIDERS[source]?.label || FX_SOURCE_NAMES[source] || source;
+
+const selectedValues = (el) => Array.from(el.selectedOptions, o => o.value);
+
+/** The Summary tab's filter; dates are converted from local inputs to UTC and amounts to home minor units. */
+function readFilter(homeCurrency) {
+    const amount = (id) => (document.getElementById(id).value === '' ? null : toCents(document.getElementById(id).value, homeCurrency));
+    return {
+        startDate: localDateToUTC($('#startDate').value || null),
+        endDate: localDateToUTC($('#endDate').value || null),
+        categoryIds: selectedValues($('#filterCategories')),
+        instrumentIds: selectedValues($('#filterInstruments')),
+        currencies: selectedValues($('#filterCurrencies')),
+        fxSources: selectedValues($('#filterFxSources')),
+        minCents: amount('filterMinAmount'),
+        maxCents: amount('filterMaxAmount'),
+        receipt: $('#filterReceipt').value,
+        text: $('#filterText').value.trim()
+    };
+}
+
+/** Put `filter` into the Summary form (choices that no longer exist are dropped). */
+function writeFilter(filter, homeCurrency) {
+    const f = { ...EMPTY_FILTER, ...filter };
+    $('#startDate').value = utcDateToLocal(f.startDate) || '';
+    $('#endDate').value = utcDateToLocal(f.endDate) || '';
+    const pick = (id, values) => { for (const o of document.getElementById(id).options) o.selected = values.includes(o.value); };
+    pick('filterCategories', f.categoryIds);
+    pick('filterInstruments', f.instrumentIds);
+    pick('filterCurrencies', f.currencies);
+    pick('filterFxSources', f.fxSources);
+    $('#filterMinAmount').value = f.minCents == null ? '' : fromCents(f.minCents, homeCurrency);
+    $('#filterMaxAmount').value = f.maxCents == null ? '' : fromCents(f.maxCents, homeCurrency);
+    $('#filterReceipt').value = f.receipt;
+    $('#filterText').value = f.text;
+    // Open the section when it holds something, so an applied filter is never hidden
+    $('#moreFilters').open = hasDetailFilter({ ...f, text: '' });
+}
+
+/** Whether `filter` narrows anything beyond the date range. */
+const hasDetailFilter = (f) => Boolean(f.categoryIds.length || f.instrumentIds.length || f.currencies.length || f.fxSources.length
+    || f.minCents != null || f.maxCents != null || f.receipt || f.text);
+
+/** Lowercase without accents, so "cafe" finds "Café". */
+const searchKey = (v) => String(v || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Whether `e` passes the non-date parts of `filter`. A category matches the expense's own
+ * category or any of its line items; the search looks at the description, line items and the
+ * receipt's OCR text, and every word must appear. `receiptIds` is only needed for a receipt filter.
+ */
+function matchesFilter(e, filter, settings, receiptIds) {
+    if (filter.categoryIds.length && ![e.categoryId, ...(e.lineItems || []).map(i => i.categoryId)].some(id => filter.categoryIds.includes(id))) return false;
+    if (filter.instrumentIds.length && !filter.instrumentIds.includes(instrumentOf(settings, e)?.id)) return false;
+    if (filter.currencies.length && !filter.currencies.includes(e.currency)) return false;
+    if (filter.fxSources.length && !filter.fxSources.includes(e.fxSource || 'frankfurter')) return false;
+    if (filter.minCents != null && !(e.baseAmountCents != null && e.baseAmountCents >= filter.minCents)) return false;
+    if (filter.maxCents != null && !(e.baseAmountCents != null && e.baseAmountCents <= filter.maxCents)) return false;
+    if (filter.receipt && receiptIds.has(e.id) !== (filter.receipt === 'with')) return false;
+    if (filter.text) {
+        const haystack = searchKey([e.description, ...(e.lineItems || []).map(i => i.description), e.ocrText].join(' '));
+        if (!searchKey(filter.text).split(/\s+/).every(word => haystack.includes(word))) return false;
+    }
+    return true;
+}
+
+/** Expenses of the active trip that pass `filter` (dates as in `getExpensesInRange`). */
+async function getFilteredExpenses(filter, settings) {
+    const inRange = await getExpensesInRange(filter.startDate, filter.endDate);
+    if (!hasDetailFilter(filter)) return inRange;
+    const receiptIds = filter.receipt ? new Set((await getAll('attachments')).map(a => a.expenseId)) : null;
+    return inRange.filter(e => matchesFilter(e, filter, settings, receiptIds));
+}
+
+/** Refill the filter's choice lists for the active trip, keeping what is selected. */
+function renderFilterOptions(settings, categories, tripExpenses) {
+    const fill = (id, options) => {
+        const el = document.getElementById(id);
+        const selected = new Set(selectedValues(el));
+        el.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}"${selected.has(value) ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+    };
+    fill('filterCategories', categories.map(c => [c.id, c.name]));
+    fill('filterInstruments', settings.instruments.map(i => [i.id, `${INSTRUMENT_TYPES[i.type].split(' ')[0]} ${i.name}`]));
+    const currencies = new Set([settings.homeCurrency, ...settings.tripCurrencies, ...tripExpenses.map(e => e.currency)]);
+    fill('filterCurrencies', Array.from(currencies).sort().map(c => [c, c]));
+    const sources = new Set(['pending', ...tripExpenses.map(e => e.fxSource || 'frankfurter')]);
+    fill('filterFxSources', Array.from(sources, src => [src, `${fxSourceLabel(src)} ${fxSourceName(src)}`]));
+    $('#filterMinAmount').step = amountStep(settings.homeCurrency);
+    $('#filterMaxAmount').step = amountStep(settings.homeCurrency);
+
+    const savedEl = document.getElementById('savedFilter');
+    const prevSaved = savedEl.value;
+    savedEl.innerHTML = `<option value="">— none —</option>` + settings.savedFilters
+        .map(f => `<option value="${f.id}">${escapeHtml(f.name)}</option>`).join('');
+    savedEl.value = settings.savedFilters.some(f => f.id === prevSaved) ? prevSaved : '';
+    $('#deleteFilterBtn').hidden = !savedEl.value;
+}
+
+async function saveFilter(name, filter) {
+    name = name.trim();
+    if (!name) throw new Error('Name required');
+    const settings = await loadSettings();
+    // Saving under an existing name replaces that filter
+    const existing = settings.savedFilters.find(f => f.name.toLowerCase() === name.toLowerCase());
+    const id = existing ? existing.id : crypto.randomUUID();
+    settings.savedFilters = [...settings.savedFilters.filter(f => f.id !== id), { id, name, filter }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+    await saveSettings(settings);
+    return id;
+}
+
+async function deleteSavedFilter(id) {
+    const settings = await loadSettings();
+    settings.savedFilters = settings.savedFilters.filter(f => f.id !== id);
+    await saveSettings(settings);
+}
+
+// ---------- Budgets & burn rate ----------
+
+/**
+ * Spend-to-date and burn-rate forecast for a trip budget (all amounts in home-currency cents).
+ * The burn rate runs from the trip start (or the first expense) to today, capped at the trip end,
+ * and uses `usedCents`: spending amortized up to that day, so a prepaid stay isn't counted as
+ * burned before its nights. The projection extrapolates it over the full trip when an end date
+ * is known.
+ */
+function computeBudgetForecast({ spentCents, usedCents = spentCents, budgetCents, startDate, endDate, firstExpenseDate, today }) {
+    const from = startDate || firstExpenseDate;
+    const until = endDate && endDate < today ? endDate : today;
+    const elapsedDays = from && from <= until ? daysInclusive(from, until) : 0;
+    const totalDays = from && endDate && from <= endDate ? daysInclusive(from, endDate) : null;
+    const dailyCents = elapsedDays ? Math.round(usedCents / elapsedDays) : null;
+    let projectedCents = null;
+    if (totalDays != null) {
+        projectedCents = (endDate <= today || dailyCents == null) ? spentCents : Math.max(spentCents, dailyCents * totalDays);
+    }
+    return {
+        spentCents,
+        budgetCents,
+        remainingCents: budgetCents == null ? null : budgetCents - spentCents,
+        elapsedDays,
+        totalDays,
+        dailyCents,
+        projectedCents
+    };
+}
+
+// ---------- Balances & settle-up ----------
+async function listSettlements() {
+    return await indexGetAllKey('settlements', 'byTrip', getActiveTripId());
+}
+
+async function addSettlement({ date, fromId, toId, amount, note }) {
+    if (!fromId || !toId || fromId === toId) throw new Error('Choose two different travelers.');
+    const { homeCurrency } = await loadSettings();
+    const amountCents = toCents(amount, homeCurrency);
+    if (!(amountCents > 0)) throw new Error('Amount must be greater than zero.');
+    await put('settlements', {
+        id: crypto.randomUUID(),
+        tripId: getActiveTripId(),
+        date, fromId, toId, amountCents,
+        note: note || ''
+    });
+}
+
+async function deleteSettlement(id) {
+    await del('settlements', id);
+}
+
+/**
+ * Per-traveler totals in home-currency cents. `balanceCents` > 0 means the traveler is owed money.
+ * Expenses without a payer/split (or still pending an FX rate) are skipped and counted in `skipped`.
+ */
+function computeBalances(expenses, settlements, participants) {
+    const stats = new Map(participants.map(p => [p.id, { paidCents: 0, shareCents: 0, settledCents: 0 }]));
+    const statFor = (pid) => {
+        if (!stats.has(pid)) stats.set(pid, { paidCents: 0, shareCents: 0, settledCents: 0 });
+        return stats.get(pid);
+    };
+    let skipped = 0;
+    for (const e of expenses) {
+        const shares = e.paidBy ? splitBaseCents(e) : null;
+        if (!shares) { if (e.paidBy || e.split) skipped += 1; continue; }
+        statFor(e.paidBy).paidCents += e.baseAmountCents;
+        for (const [pid, cents] of shares) statFor(pid).shareCents += cents;
+    }
+    for (const st of settlements) {
+        statFor(st.fromId).settledCents += st.amountCents;
+        statFor(st.toId).settledCents -= st.amountCents;
+    }
+    for (const s of stats.values()) s.balanceCents = s.paidCents - s.shareCents + s.settledCents;
+    return { stats, skipped };
+}
+
+/**
+ * Turn net balances into settle-up transfers. Exact debtor/creditor matches are paired first
+ * (each one saves a transfer), the rest is settled greedily largest-first, which needs at
+ * most n - 1 transfers.
+ */
+function computeSettleUp(stats) {
+    const debtors = [];
+    const creditors = [];
+    for (const [id, s] of stats) {
+        if (s.balanceCents < 0) debtors.push({ id, cents: -s.balanceCents });
+        else if (s.balanceCents > 0) creditors.push({ id, cents: s.balanceCents });
+    }
+    const transfers = [];
+    for (const d of debtors) {
+        const c = creditors.find(c => c.cents > 0 && c.cents === d.cents);
+        if (c) {
+            transfers.push({ fromId: d.id, toId: c.id, amountCents: d.cents });
+            c.cents = 0;
+            d.cents = 0;
+        }
+    }
+    const byLargest = (a, b) => b.cents - a.cents;
+    const ds = debtors.filter(d => d.cents > 0).sort(byLargest);
+    const cs = creditors.filter(c => c.cents > 0).sort(byLargest);
+    let i = 0, j = 0;
+    while (i < ds.length && j < cs.length) {
+        const amountCents = Math.min(ds[i].cents, cs[j].cents);
+        transfers.push({ fromId: ds[i].id, toId: cs[j].id, amountCents });
+        ds[i].cents -= amountCents;
+        cs[j].cents -= amountCents;
+        if (!ds[i].cents) i++;
+        if (!cs[j].cents) j++;
+    }
+    return transfers;
 }
 
 // ---------- Category management ----------
@@ -608,12 +1925,26 @@ async function listCategories() {
 }
 
 async function countExpensesByCategoryAll() {
-    const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+    const exps = await expensesIncludingTrash();
     const map = new Map();
-    for (const e of exps) map.set(e.categoryId, (map.get(e.categoryId) || 0) + 1);
+    for (const e of exps) {
+        const ids = new Set([e.categoryId, ...(e.lineItems || []).map(i => i.categoryId)]);
+        for (const id of ids) map.set(id, (map.get(id) || 0) + 1);
+    }
     return map;
 }
 
+async function addCategory(name) {
+    name = name.trim();
+    if (!name) throw new Error('Enter a category name.');
+    const cats = await listCategories();
+    if (cats.some(c => c.name.toLowerCase() === name.toLowerCase())) throw new Error('A category with that name already exists.');
+    return withChangeLog(`Added category "${name}"`, async (log) => {
+        await putLogged(log, 'categories', { id: crypto.randomUUID(), name, tripId: getActiveTripId() });
+        return changeIdOf(log);
+    });
+}
+
 async function renameCategory(id, newName) {
     newName = newName.trim();
     if (!newName) throw new Error('Name required');
@@ -621,19 +1952,46 @@ async function renameCategory(id, newName) {
     if (cats.some(c => c.name.toLowerCase() === newName.toLowerCase() && c.id !== id)) throw new Error('A category with that name already exists.');
     const cat = cats.find(c => c.id === id);
     if (!cat) throw new Error('Category not found');
-    cat.name = newName;
-    await put('categories', cat);
+    return withChangeLog(`Renamed category "${cat.name}" to "${newName}"`, async (log) => {
+        await putLogged(log, 'categories', { ...cat, name: newName });
+        return changeIdOf(log);
+    });
 }
 
-async function reassignCategory(oldId, newId) {
+async function reassignCategory(oldId, newId, log = null) {
     if (oldId === newId) return;
-    const affected = await indexGetAllKey('expenses', 'byCategory', oldId);
-    for (const e of affected) { e.categoryId = newId; await put('expenses', e); }
+    const names = new Map((await listCategories()).map(c => [c.id, c.name]));
+    const move = (e) => {
+        const items = e.lineItems || [];
+        if (e.categoryId !== oldId && !items.some(i => i.categoryId === oldId)) return false;
+        if (e.categoryId === oldId) e.categoryId = newId;
+        items.forEach(i => { if (i.categoryId === oldId) i.categoryId = newId; });
+        return true;
+    };
+    await withChangeLog(`Moved "${names.get(oldId)}" expenses to "${names.get(newId)}"`, async (log) => {
+        // Line items aren't indexed, so scan the trip rather than the byCategory index
+        const exps = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+        for (const e of exps) if (move(e)) await putLogged(log, 'expenses', e);
+        // Expenses in the trash move too, so they still have a category when restored
+        for (const item of await indexGetAllKey('trash', 'byTrip', getActiveTripId())) {
+            if (item.kind === 'expense' && move(item.expense)) await putLogged(log, 'trash', item);
+        }
+    }, log);
+}
+
+async function setCategoryBudget(categoryId, amount, log = null) {
+    const settings = await loadSettings();
+    if (amount == null || amount === '') delete settings.categoryBudgets[categoryId];
+    else {
+        const cents = toCents(amount, settings.homeCurrency);
+        if (!(cents >= 0)) throw new Error('Budget must be a positive amount.');
+        settings.categoryBudgets[categoryId] = cents;
+    }
+    await saveSettings(settings, log);
 }
 
 async function deleteCategoryIfUnused(id) {
-    const used = await indexGetAllKey('expenses', 'byCategory', id);
-    if (used.length > 0) return false;
+    if ((await countExpensesByCategoryAll()).get(id)) return false;
     await del('categories', id);
     return true;
 }
@@ -645,8 +2003,10 @@ function formatRate(fxRatePpm) {
 }
 
 function fxSourceLabel(source) {
+    if (FX_PROVIDERS[source]) return FX_PROVIDERS[source].icon;
     switch (source) {
-        case 'frankfurter': return '🌐';
+        case 'statement': return '🧾';
+        case 'original': return '↩️';
         case 'cashBatch': return '💵';
         case 'pending': return '⏳';
         default: return '🌐';
@@ -654,15 +2014,50 @@ function fxSourceLabel(source) {
 }
 
 // ---------- Lightbox ----------
-function openLightbox(dataUrl) {
-    const overlay = document.getElementById('photoLightbox');
-    document.getElementById('lightboxImg').src = dataUrl;
-    overlay.hidden = false;
+// Pages through attachments (`{ kind, blob, caption, name }`). This is the only place the
+// full-size file is read; the object URL of the item on screen is revoked when it changes.
+const lightbox = { items: [], index: 0, objectUrl: null };
+
+function openLightbox(items, index = 0) {
+    if (!items.length) return;
+    lightbox.items = items;
+    lightbox.index = Math.max(0, index);
+    document.getElementById('photoLightbox').hidden = false;
+    showLightboxItem();
+}
+
+function showLightboxItem() {
+    const { items, index } = lightbox;
+    const item = items[index];
+    if (lightbox.objectUrl) URL.revokeObjectURL(lightbox.objectUrl);
+    lightbox.objectUrl = null;
+    const media = document.getElementById('lightboxMedia');
+    lightbox.objectUrl = URL.createObjectURL(item.blob);
+    if (item.kind === 'pdf') {
+        media.innerHTML = `<iframe class="lightbox-pdf" src="${lightbox.objectUrl}" title="${escapeHtml(item.name || 'PDF')}"></iframe>
+            <a class="btn btn-ghost lightbox-close" href="${lightbox.objectUrl}" target="_blank" rel="noopener">Open PDF</a>`;
+    } else {
+        media.innerHTML = `<img src="${lightbox.objectUrl}" alt="${escapeHtml(item.caption || 'Expense photo')}" />`;
+    }
+    document.getElementById('lightboxCaption').textContent = item.caption || item.name || '';
+    document.getElementById('lightboxCounter').textContent = items.length > 1 ? `${index + 1} / ${items.length}` : '';
+    document.getElementById('lightboxPrev').hidden = items.length < 2;
+    document.getElementById('lightboxNext').hidden = items.length < 2;
+}
+
+function stepLightbox(delta) {
+    const count = lightbox.items.length;
+    if (count < 2) return;
+    lightbox.index = (lightbox.index + delta + count) % count;
+    showLightboxItem();
 }
 
 function closeLightbox() {
     document.getElementById('photoLightbox').hidden = true;
-    document.getElementById('lightboxImg').src = '';
+    document.getElementById('lightboxMedia').innerHTML = '';
+    if (lightbox.objectUrl) URL.revokeObjectURL(lightbox.objectUrl);
+    lightbox.objectUrl = null;
+    lightbox.items = [];
 }
 
 async function renderTripSelector() {
@@ -694,7 +2089,7 @@ async function renderLiveRates() {
             const result = await getOrFetchRate(todayUTC(), cur);
             if (result) {
                 const rate = (result.ppm / PPM).toFixed(4);
-                chips.push(`<span class="rate-chip">1 ${cur} = <span class="rate-value">${rate}</span> ${home}</span>`);
+                chips.push(`<span class="rate-chip" title="${result.source}">1 ${cur} = <span class="rate-value">${rate}</span> ${home}</span>`);
             } else {
                 chips.push(`<span class="rate-chip" style="opacity:.5">1 ${cur} = <span class="rate-value">—</span> ${home}</span>`);
             }
@@ -711,7 +2106,11 @@ async function render() {
 
     $('#homeCurrency').value = settings.homeCurrency;
     $('#tripCurrencies').value = settings.tripCurrencies.join(', ');
-    $('#ccFee').value = settings.ccFeePercent;
+    $('#cashMethod').value = settings.cashMethod;
+    $('#tripStart').value = utcDateToLocal(settings.startDate);
+    $('#tripEnd').value = utcDateToLocal(settings.endDate);
+    $('#tripBudget').value = settings.budgetCents == null ? '' : fromCents(settings.budgetCents, settings.homeCurrency);
+    $('#tripBudget').step = amountStep(settings.homeCurrency);
 
     const tripCurrencies = settings.tripCurrencies && settings.tripCurrencies.length ? settings.tripCurrencies : [settings.homeCurrency];
     const allDisplayCurrencies = Array.from(new Set([settings.homeCurrency, ...tripCurrencies]));
@@ -719,21 +2118,44 @@ async function render() {
     const currencyEl = document.getElementById('currency');
     const prevCurrency = currencyEl.value;
     currencyEl.innerHTML = allDisplayCurrencies.map(c => `<option value="${c}">${c}</option>`).join('');
-    currencyEl.value = allDisplayCurrencies.includes(prevCurrency) ? prevCurrency : allDisplayCurrencies[0];
+    currencyEl.value = allDisplayCurrencies.includes(prevCurrency) ? prevCurrency : defaultCurrencyFor(settings, formDate());
+    syncLegFromDate(settings, false);
 
     const cats = await listCategories();
     const sel = $('#category');
     sel.innerHTML = cats.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
 
+    const instrumentEl = $('#instrument');
+    const prevInstrument = instrumentEl.value;
+    instrumentEl.innerHTML = instrumentOptionsHtml(settings.instruments, prevInstrument);
+
+    renderSplitFields(settings.participants);
+    renderBreakdownFields(cats);
+    refreshOcrLanguages(ocrLangsFor(settings, formDate()));
+
+    const tripExpenses = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+    renderRefundFields(tripExpenses, cats);
+    renderFilterOptions(settings, cats, tripExpenses);
+
     const cashCurrencyEl = document.getElementById('cashCurrency');
     const prevCash = cashCurrencyEl.value;
     cashCurrencyEl.innerHTML = allDisplayCurrencies.map(c => `<option value="${c}">${c}</option>`).join('');
     cashCurrencyEl.value = allDisplayCurrencies.includes(prevCash) ? prevCash : allDisplayCurrencies[0];
+    syncAmountSteps(settings.homeCurrency);
 
     const batches = await indexGetAllKey('cashBatches', 'byTrip', getActiveTripId());
+    const cashUsed = cashBatchUsage(tripExpenses);
     $('#cashBatchesList').innerHTML = batches
         .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .map(b => `<li data-id="${b.id}">${utcDateToLocal(b.date)} • ${b.currency} • rate ${(b.ratePpm / PPM).toFixed(4)} • ${(b.purchasedAmountCents / 100).toFixed(2)} <span class="actions"><button class="editCashBtn" type="button">Edit</button> <button class="deleteCashBtn" type="button">Delete</button></span></li>`)
+        .map(b => {
+            const spent = cashUsed.get(b.id) || 0;
+            const remaining = b.purchasedAmountCents - spent;
+            const pendingHtml = b.rebaseFrom ? ` <span class="muted" title="Waiting for a ${b.rebaseFrom}→${settings.homeCurrency} rate">⏳ rate pending</span>` : '';
+            const remainingHtml = remaining < 0
+                ? `<span class="cash-overspent" title="More cash was spent than this batch held">⚠️ overspent by ${formatMoney(-remaining, b.currency)}</span>`
+                : `remaining ${formatMoney(remaining, b.currency)}`;
+            return `<li data-id="${b.id}"${remaining < 0 ? ' class="overspent"' : ''}>${utcDateToLocal(b.date)} • ${b.currency} • rate ${(b.ratePpm / PPM).toFixed(4)}${pendingHtml} • ${formatMoney(b.purchasedAmountCents, b.currency)} <span class="muted">(spent ${formatMoney(spent, b.currency)} • ${remainingHtml})</span> <span class="actions"><button class="editCashBtn" type="button">Edit</button> <button class="deleteCashBtn" type="button">Delete</button></span></li>`;
+        })
         .join('');
 
     const summaryEl = document.getElementById('summaryCurrency');
@@ -741,62 +2163,438 @@ async function render() {
     summaryEl.innerHTML = allDisplayCurrencies.map(c => `<option value="${c}">${c}</option>`).join('');
     summaryEl.value = allDisplayCurrencies.includes(prevSummary) ? prevSummary : settings.homeCurrency;
 
-    // Filter inputs are local dates; convert to UTC for DB comparison
-    const startDateLocal = $('#startDate').value || null;
-    const endDateLocal = $('#endDate').value || null;
-    const startDate = localDateToUTC(startDateLocal);
-    const endDate = localDateToUTC(endDateLocal);
+    const reportCurrencyEl = document.getElementById('reportCurrency');
+    const prevReport = reportCurrencyEl.value;
+    reportCurrencyEl.innerHTML = allDisplayCurrencies.map(c => `<option value="${c}">${c}</option>`).join('');
+    reportCurrencyEl.value = allDisplayCurrencies.includes(prevReport) ? prevReport : settings.homeCurrency;
+
+    const filter = readFilter(settings.homeCurrency);
+    const { startDate, endDate } = filter;
     const displayCurrency = (summaryEl.value || settings.homeCurrency).toUpperCase();
 
-    const exps = (await getExpensesInRange(startDate, endDate))
+    const exps = (await getFilteredExpenses(filter, settings))
         .sort((a, b) => new Date(b.date) - new Date(a.date));
+    const filterStatus = document.getElementById('filterStatus');
+    filterStatus.hidden = !hasDetailFilter(filter) && !startDate && !endDate;
+    filterStatus.textContent = `Showing ${exps.length} of ${tripExpenses.length} expense(s)`
+        + (filter.categoryIds.length ? ' • totals count only the selected categories' : '');
 
     const catMap = new Map(cats.map(c => [c.id, c.name]));
+    const participantMap = new Map(settings.participants.map(p => [p.id, p.name]));
+    const expenseById = new Map(tripExpenses.map(e => [e.id, e]));
+    const refundsByOriginal = new Map();
+    for (const e of tripExpenses) {
+        if (e.kind === 'refund' && e.refundOf) refundsByOriginal.set(e.refundOf, [...(refundsByOriginal.get(e.refundOf) || []), e]);
+    }
 
-    // Batch-load photos for visible expenses
-    const photoMap = new Map();
-    for (const e of exps) {
-        const p = await getPhoto(e.id);
-        if (p) photoMap.set(e.id, p.dataUrl);
+    // One read for all attachments; rows carry Blob handles, so only thumbnails are decoded
+    const visibleIds = new Set(exps.map(e => e.id));
+    const attachmentMap = new Map();
+    for (const a of await getAll('attachments')) {
+        if (visibleIds.has(a.expenseId)) attachmentMap.set(a.expenseId, [...(attachmentMap.get(a.expenseId) || []), a]);
     }
+    for (const list of attachmentMap.values()) list.sort((a, b) => a.order - b.order);
+    revokeThumbUrls();
 
     $('#expensesTbody').innerHTML = exps.length
         ? exps.map(e => {
             const catName = catMap.get(e.categoryId) || '—';
             const rateDisplay = formatRate(e.fxRatePpm);
             const sourceIcon = fxSourceLabel(e.fxSource);
+            const instrument = instrumentOf(settings, e);
+            const feeCents = feeCentsOf(e, settings.homeCurrency);
+            const feeHtml = feeCents ? `<div class="muted">incl. ${formatMoney(feeCents, settings.homeCurrency)} fees</div>` : '';
+            const refunds = refundsByOriginal.get(e.id) || [];
+            const refundedBase = refunds.reduce((acc, r) => acc + (r.baseAmountCents || 0), 0);
+            const refundHtml = refunds.length && e.baseAmountCents != null
+                ? `<div class="muted">↩️ refunded ${formatMoney(-refundedBase, settings.homeCurrency)} • net ${formatMoney(e.baseAmountCents + refundedBase, settings.homeCurrency)}</div>`
+                : '';
             const baseDisplay = (e.baseAmountCents == null)
                 ? `<span class="muted">pending</span>`
-                : `${(e.baseAmountCents / 100).toFixed(2)} ${settings.homeCurrency}`;
-            const photoUrl = photoMap.get(e.id);
-            const photoCell = photoUrl
-                ? `<img class="expense-thumb" src="${photoUrl}" alt="Receipt" data-photo-id="${e.id}" />`
+                : `${formatMoney(e.baseAmountCents, settings.homeCurrency)}${feeHtml}${refundHtml}`;
+            const original = e.kind === 'refund' && e.refundOf ? expenseById.get(e.refundOf) : null;
+            const refundBadge = e.kind === 'refund'
+                ? `<span class="refund-badge">↩️ Refund</span> `
+                : '';
+            const refundOfHtml = original ? `<div class="muted">of ${escapeHtml(expenseLabel(original, catMap))}</div>` : '';
+            const breakdownText = lineItemsText(e, catMap);
+            const breakdownHtml = breakdownText ? `<div class="muted">🧾 ${escapeHtml(breakdownText)}</div>` : '';
+            const coverageHtml = e.coverage ? `<div class="muted">📅 ${coverageText(e)}</div>` : '';
+            const payerName = e.paidBy ? participantMap.get(e.paidBy) : null;
+            const payerHtml = payerName ? `<div class="muted">👤 ${escapeHtml(payerName)}</div>` : '';
+            const batchCount = e.method === 'cash' ? cashAllocationsOf(e).length : 0;
+            const batchHtml = batchCount > 1 ? `<div class="muted">💵 ${batchCount} batches</div>` : '';
+            const attachments = attachmentMap.get(e.id) || [];
+            const first = attachments[0];
+            const moreHtml = attachments.length > 1 ? `<span class="attachment-count">+${attachments.length - 1}</span>` : '';
+            const photoCell = first
+                ? attachmentThumbHtml(first, 'expense-thumb', `data-photo-id="${e.id}"`) + moreHtml
                 : `<span class="muted">—</span>`;
-            return `<tr data-expense-id="${e.id}">
+            return `<tr data-expense-id="${e.id}"${e.kind === 'refund' ? ' class="refund-row"' : ''}>
                 <td>${utcDateToLocal(e.date)}</td>
                 <td>${catName}</td>
-                <td>${e.method.toUpperCase()}</td>
-                <td>${e.currency} ${(e.amountLocalCents / 100).toFixed(2)}</td>
+                <td>${instrument ? escapeHtml(instrument.name) : e.method}${batchHtml}${payerHtml}</td>
+                <td>${formatMoney(e.amountLocalCents, e.currency)}</td>
                 <td><span title="${e.fxSource || 'frankfurter'}">${sourceIcon}</span> ${rateDisplay}</td>
                 <td>${baseDisplay}</td>
-                <td>${e.description || ''}</td>
+                <td>${refundBadge}${e.description || ''}${refundOfHtml}${breakdownHtml}${coverageHtml}</td>
                 <td>${photoCell}</td>
-                <td class="actions"><button class="editExpenseBtn" type="button">Edit</button> <button class="deleteExpenseBtn" type="button">Delete</button></td>
+                <td class="actions"><button class="editExpenseBtn" type="button">Edit</button> <button class="historyExpenseBtn" type="button">History</button> <button class="deleteExpenseBtn" type="button">Delete</button></td>
             </tr>`;
         }).join('')
-        : `<tr><td colspan="9" class="muted">No expenses in this range.</td></tr>`;
+        : `<tr><td colspan="9" class="muted">No expenses match the filter.</td></tr>`;
 
+    // Totals only count the days of each coverage period that fall inside the filter, and only
+    // the selected categories' part of an expense split into line items
+    const amortized = amortizeExpenses(exps, startDate, endDate);
+    const categoryScope = filter.categoryIds.length ? new Set(filter.categoryIds) : null;
     try {
-        const totalBase = await sumBaseCents(exps);
+        const totalBase = amortized.reduce((acc, e) => acc + scopedBaseCents(e, categoryScope), 0);
         const totalDisplay = await convertBaseToTargetCents(totalBase, displayCurrency, endDate);
-        $('#summaryOutput').textContent = `${displayCurrency} ${(totalDisplay / 100).toFixed(2)}`;
+        $('#summaryOutput').textContent = formatMoney(totalDisplay, displayCurrency);
     } catch (err) {
         $('#summaryOutput').textContent = err.message;
     }
 
-    await renderCategorySummary(exps, cats, displayCurrency, endDate, settings.homeCurrency);
-    await renderCategoryManagement(cats);
-    await renderLiveRates();
+    await renderCategorySummary(amortized, cats, displayCurrency, endDate, categoryScope);
+    await renderInstrumentSummary(amortized, settings, displayCurrency, endDate);
+    await renderLegSummary(exps, { startDate, endDate, categoryScope, settings, displayCurrency });
+    await renderCharts(exps, { startDate, endDate, categoryScope, categories: cats, settings, displayCurrency });
+    await renderBudget(settings, cats, displayCurrency);
+    await renderCategoryManagement(cats, settings);
+    renderFxProviders(settings);
+    await renderParticipantManagement(settings.participants);
+    await renderInstrumentManagement(settings);
+    renderLegManagement(settings);
+    await renderTrash();
+    await renderBalances(settings);
+    await renderLiveRates();
+}
+
+/** Match each amount input's step (and placeholder) to the minor units of its currency. */
+function syncAmountSteps(homeCurrency) {
+    const pairs = [
+        ['amount', $('#currency').value],
+        ['cashAmount', $('#cashCurrency').value],
+        ['settlementAmount', homeCurrency],
+        ['instrumentFixedFee', homeCurrency]
+    ];
+    for (const [id, currency] of pairs) {
+        const el = document.getElementById(id);
+        el.step = amountStep(currency);
+        if (el.placeholder) el.placeholder = fromCents(0, currency);
+    }
+}
+
+// ---------- Split editor (shared by the Add form and the inline editor) ----------
+function splitEditorHtml(participants, split, currency) {
+    const mode = (split && split.mode) || 'equal';
+    const values = new Map(((split && split.parts) || []).map(p => [p.participantId, p.value]));
+    const modeOptions = [['equal', 'Equally'], ['shares', 'By shares'], ['exact', 'By exact amounts']]
+        .map(([v, label]) => `<option value="${v}"${v === mode ? ' selected' : ''}>${label}</option>`).join('');
+    const rows = participants.map(p => {
+        const included = !split || values.has(p.id);
+        const raw = values.get(p.id);
+        const value = (raw == null || mode === 'equal') ? '' : (mode === 'exact' ? fromCents(raw, currency) : raw);
+        return `<label class="split-row"><input class="split-include" type="checkbox" data-pid="${p.id}"${included ? ' checked' : ''} /> <span>${escapeHtml(p.name)}</span> <input class="split-value" type="number" step="any" min="0" value="${value}" aria-label="${escapeHtml(p.name)} share" /></label>`;
+    }).join('');
+    return `<div class="split-editor" data-mode="${mode}"><select class="split-mode" aria-label="Split mode">${modeOptions}</select><div class="split-rows">${rows}</div></div>`;
+}
+
+/** Read a split editor back into `{ mode, parts }`; exact values are converted to minor units of `currency`. */
+function readSplitEditor(root, currency) {
+    const editor = root.querySelector('.split-editor');
+    if (!editor) return null;
+    const mode = editor.querySelector('.split-mode').value;
+    const parts = [];
+    editor.querySelectorAll('.split-row').forEach(row => {
+        const include = row.querySelector('.split-include');
+        if (!include.checked) return;
+        const raw = row.querySelector('.split-value').value;
+        let value = 1;
+        if (mode === 'shares') value = raw === '' ? 1 : Number(raw);
+        if (mode === 'exact') value = toCents(raw || 0, currency);
+        parts.push({ participantId: include.dataset.pid, value });
+    });
+    return { mode, parts };
+}
+
+// ---------- Breakdown editor (line items, tax and tip; Add form and inline editor) ----------
+function lineItemRowHtml(categories, item, currency) {
+    const amount = item && item.amountLocalCents ? fromCents(item.amountLocalCents, currency) : '';
+    return `<div class="line-item-row">
+        <input class="line-item-desc" type="text" placeholder="Item" value="${escapeHtml(item?.description || '')}" aria-label="Item description" />
+        <select class="line-item-category" aria-label="Item category">${createSelectHtml(categories, item?.categoryId || '', 'id')}</select>
+        <input class="line-item-amount" type="number" step="any" min="0" placeholder="0" value="${amount}" aria-label="Item amount" />
+        <label class="split-row"><input class="line-item-taxable" type="checkbox"${item?.taxable ? ' checked' : ''} /> Taxed</label>
+        <button class="removeLineItemBtn" type="button" title="Remove item">✕</button>
+    </div>`;
+}
+
+function breakdownEditorHtml(categories, expense, currency) {
+    const value = (cents) => (cents ? fromCents(cents, currency) : '');
+    const rows = (expense?.lineItems || []).map(item => lineItemRowHtml(categories, item, currency)).join('');
+    return `<div class="breakdown-editor">
+        <div class="line-items">${rows}</div>
+        <button class="addLineItemBtn" type="button">+ Line item</button>
+        <div class="split-rows">
+            <label class="split-row">Tax <input class="breakdown-tax split-value" type="number" step="any" min="0" value="${value(expense?.taxCents)}" /></label>
+            <label class="split-row">Tip <input class="breakdown-tip split-value" type="number" step="any" min="0" value="${value(expense?.tipCents)}" /></label>
+        </div>
+    </div>`;
+}
+
+/** Read a breakdown editor back into `{ lineItems, taxCents, tipCents }` in minor units of `currency`. */
+function readBreakdownEditor(root, currency) {
+    const editor = root.querySelector('.breakdown-editor');
+    if (!editor) return null;
+    const lineItems = Array.from(editor.querySelectorAll('.line-item-row'), row => ({
+        description: row.querySelector('.line-item-desc').value,
+        categoryId: row.querySelector('.line-item-category').value,
+        amountLocalCents: toCents(row.querySelector('.line-item-amount').value || 0, currency),
+        taxable: row.querySelector('.line-item-taxable').checked
+    }));
+    return {
+        lineItems,
+        taxCents: toCents(editor.querySelector('.breakdown-tax').value || 0, currency),
+        tipCents: toCents(editor.querySelector('.breakdown-tip').value || 0, currency)
+    };
+}
+
+function renderBreakdownFields(categories, force = false) {
+    // Same as the split editor: only rebuild when the category list changes
+    const host = document.getElementById('breakdownEditorHost');
+    const key = categories.map(c => `${c.id}:${c.name}`).join('|');
+    if (force || host.dataset.key !== key) {
+        host.innerHTML = breakdownEditorHtml(categories, null, $('#currency').value);
+        host.dataset.key = key;
+    }
+}
+
+function renderSplitFields(participants, force = false) {
+    const shared = participants.length >= 2;
+    document.getElementById('paidByGroup').hidden = !shared;
+    document.getElementById('splitGroup').hidden = !shared;
+
+    const paidByEl = document.getElementById('paidBy');
+    const prevPayer = paidByEl.value;
+    paidByEl.innerHTML = participants.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+    if (participants.some(p => p.id === prevPayer)) paidByEl.value = prevPayer;
+
+    // Only rebuild the split editor when the traveler list changes, so a re-render
+    // doesn't wipe values the user is in the middle of entering.
+    const host = document.getElementById('splitEditorHost');
+    const key = participants.map(p => `${p.id}:${p.name}`).join('|');
+    if (force || host.dataset.key !== key) {
+        host.innerHTML = shared ? splitEditorHtml(participants, null) : '';
+        host.dataset.key = key;
+    }
+}
+
+// What the history view compares between two versions of an expense
+const EXPENSE_HISTORY_FIELDS = [
+    ['Date', (e) => utcDateToLocal(e.date)],
+    ['Amount', (e) => formatMoney(e.amountLocalCents, e.currency)],
+    ['Home amount', (e, ctx) => (e.baseAmountCents == null ? 'pending' : formatMoney(e.baseAmountCents, ctx.home))],
+    ['Category', (e, ctx) => ctx.categories.get(e.categoryId) || '(deleted category)'],
+    ['Paid with', (e, ctx) => ctx.instruments.get(e.instrumentId) || e.method],
+    ['Description', (e) => e.description || '—'],
+    ['Paid by', (e, ctx) => ctx.participants.get(e.paidBy) || '—'],
+    ['Coverage', (e) => coverageText(e) || '—'],
+    ['Line items', (e, ctx) => lineItemsText(e, ctx.categories) || '—']
+];
+
+/** One line per field that differs between two versions, e.g. "Category: Food → Transport". */
+function expenseDiffLines(before, after, ctx) {
+    if (!before) return ['Created'];
+    if (!after) return ['Deleted'];
+    return EXPENSE_HISTORY_FIELDS
+        .map(([label, show]) => [label, show(before, ctx), show(after, ctx)])
+        .filter(([, from, to]) => from !== to)
+        .map(([label, from, to]) => `${label}: ${from} → ${to}`);
+}
+
+async function openExpenseHistory(expenseId) {
+    const exp = await get('expenses', expenseId);
+    if (!exp) return;
+    const settings = await loadSettings();
+    const ctx = {
+        home: settings.homeCurrency,
+        categories: new Map((await listCategories()).map(c => [c.id, c.name])),
+        instruments: new Map(settings.instruments.map(i => [i.id, i.name])),
+        participants: new Map(settings.participants.map(p => [p.id, p.name]))
+    };
+    const changes = await listExpenseHistory(expenseId);
+    $('#historyTitle').textContent = `History of "${expenseName(exp)}"`;
+    $('#historyList').innerHTML = changes.length
+        ? changes.map(c => {
+            const own = c.entries.filter(en => en.store === 'expenses' && en.key === expenseId);
+            const before = own[0].before;
+            const lines = expenseDiffLines(before, own[own.length - 1].after, ctx);
+            if (c.entries.some(en => en.store === 'attachments' && (en.before || en.after).expenseId === expenseId)) lines.push('Attachments changed');
+            return `<li data-change-id="${c.id}">
+                <div><strong>${escapeHtml(c.label)}</strong> <span class="muted">${formatChangeTime(c.at)}${c.undoneAt ? ' · undone' : ''}</span></div>
+                ${lines.map(l => `<div class="muted">${escapeHtml(l)}</div>`).join('') || '<div class="muted">No visible changes</div>'}
+                ${before ? '<button class="btn btn-ghost restoreVersionBtn" type="button">↺ Restore version before this</button>' : ''}
+            </li>`;
+        }).join('')
+        : '<li class="muted">No changes recorded yet. Edits from now on show up here.</li>';
+    $('#historyView').dataset.expenseId = expenseId;
+    $('#historyView').hidden = false;
+}
+
+/** Short "date • amount • description" label identifying an expense in pickers and notes. */
+function expenseLabel(e, catMap) {
+    return `${utcDateToLocal(e.date)} • ${formatMoney(e.amountLocalCents, e.currency)} • ${e.description || catMap.get(e.categoryId) || '—'}`;
+}
+
+function renderRefundFields(expenses, categories) {
+    const isRefund = $('#expenseKind').value === 'refund';
+    $('#refundOfGroup').hidden = !isRefund;
+    $('#refundRateGroup').hidden = !isRefund;
+
+    const catMap = new Map(categories.map(c => [c.id, c.name]));
+    const refundOfEl = $('#refundOf');
+    const prev = refundOfEl.value;
+    const originals = expenses
+        .filter(e => e.kind !== 'refund')
+        .sort((a, b) => b.date.localeCompare(a.date));
+    refundOfEl.innerHTML = `<option value="">— not linked —</option>` +
+        originals.map(e => `<option value="${e.id}">${escapeHtml(expenseLabel(e, catMap))}</option>`).join('');
+    if (originals.some(e => e.id === prev)) refundOfEl.value = prev;
+}
+
+function fxProviderRowHtml(entry) {
+    const provider = FX_PROVIDERS[entry.id];
+    const status = fxProviderStatus.get(entry.id);
+    const statusHtml = status
+        ? `<span class="${status.ok ? 'balance-owed' : 'balance-owes'}" title="${status.at.toLocaleTimeString()}">${status.ok ? '✓' : '✕'} ${status.message}</span>`
+        : '<span class="muted">—</span>';
+    return `<tr data-provider="${entry.id}">
+        <td><input class="fx-provider-enabled" type="checkbox"${entry.enabled ? ' checked' : ''} aria-label="Use ${provider.label}" /></td>
+        <td>${provider.icon} ${provider.label}</td>
+        <td><input class="fx-provider-timeout" type="number" min="1" max="60" step="1" value="${Math.round((entry.timeoutMs || DEFAULT_FX_TIMEOUT_MS) / 1000)}" style="width:4.5rem;"${provider.remote ? '' : ' disabled'} /></td>
+        <td class="actions"><button class="fxUpBtn" type="button" title="Try earlier">↑</button><button class="fxDownBtn" type="button" title="Try later">↓</button></td>
+        <td>${statusHtml}</td>
+    </tr>`;
+}
+
+function renderFxProviders(settings) {
+    $('#fxProvidersTbody').innerHTML = settings.fxProviders.map(fxProviderRowHtml).join('');
+    $('#customFxUrl').value = settings.customFx.urlTemplate;
+    $('#customFxPath').value = settings.customFx.ratePath;
+    const home = settings.homeCurrency;
+    const foreign = settings.tripCurrencies.filter(c => c !== home);
+    $('#manualRatesHost').innerHTML = foreign.length
+        ? foreign.map(c => {
+            const ppm = settings.manualRates[c];
+            return `<label class="split-row">1 ${c} = <input class="manual-rate split-value" data-currency="${c}" type="number" step="0.000001" min="0" value="${ppm ? (ppm / PPM).toFixed(6) : ''}" /> ${home}</label>`;
+        }).join('')
+        : '<span class="muted">No foreign trip currencies.</span>';
+}
+
+async function renderParticipantManagement(participants) {
+    const usage = await countParticipantUsage();
+    const tbody = document.getElementById('participantsTbody');
+    if (!participants.length) { tbody.innerHTML = '<tr><td colspan="3" class="muted">No travelers yet.</td></tr>'; return; }
+    tbody.innerHTML = participants.map(p => {
+        const count = usage.get(p.id) || 0;
+        const usedBadge = count > 0 ? `<span class=badge>used: ${count}</span>` : '<span class=badge style="background:#efe;color:#141">unused</span>';
+        return `<tr data-id="${p.id}"><td>${escapeHtml(p.name)}</td><td>${usedBadge}</td><td class="actions">
+      <button class="renameParticipantBtn" type="button">Rename</button>
+      <button class="removeParticipantBtn" type="button">Remove</button>
+    </td></tr>`;
+    }).join('');
+}
+
+async function renderInstrumentManagement(settings) {
+    const usage = await countInstrumentUsage();
+    const home = settings.homeCurrency;
+    $('#instrumentsTbody').innerHTML = settings.instruments.map(i => {
+        const count = usage.get(i.id) || 0;
+        const usedBadge = count > 0 ? `<span class=badge>used: ${count}</span>` : '<span class=badge style="background:#efe;color:#141">unused</span>';
+        const fees = i.type === 'cash'
+            ? '<span class="muted">cash batches</span>'
+            : `${i.feePercent}% + ${formatMoney(i.fixedFeeCents, home)}`;
+        return `<tr data-id="${i.id}"><td>${escapeHtml(i.name)}</td><td>${INSTRUMENT_TYPES[i.type]}</td><td>${fees}</td><td>${usedBadge}</td><td class="actions">
+      <button class="editInstrumentBtn" type="button">Edit</button>
+      <button class="removeInstrumentBtn" type="button">Remove</button>
+    </td></tr>`;
+    }).join('');
+}
+
+function renderLegManagement(settings) {
+    $('#legsTbody').innerHTML = settings.legs.length
+        ? settings.legs.map(l => `<tr data-id="${l.id}"><td>${escapeHtml(l.name)}</td><td>${legDatesText(l)}</td><td>${l.currency}</td>
+            <td>${l.ocrLangs.length ? l.ocrLangs.join(', ') : '<span class="muted">from currency</span>'}</td><td class="actions">
+      <button class="editLegBtn" type="button">Edit</button>
+      <button class="removeLegBtn" type="button">Remove</button>
+    </td></tr>`).join('')
+        : '<tr><td colspan="5" class="muted">No legs yet — the whole trip uses the first trip currency.</td></tr>';
+}
+
+async function renderTrash() {
+    const items = await listTrash();
+    $('#trashRetention').value = getTrashRetentionDays();
+    $('#emptyTrashBtn').disabled = !items.length;
+    $('#trashTbody').innerHTML = items.length
+        ? items.map(item => {
+            const what = item.kind === 'trip'
+                ? `🧳 Trip "${escapeHtml(item.label)}" <span class="muted">${item.records.expenses.length} expense(s)</span>`
+                : `🧾 ${escapeHtml(item.label)}${item.attachments.length ? ` <span class="muted">📎 ${item.attachments.length}</span>` : ''}`;
+            return `<tr data-id="${item.id}"><td>${what}</td><td>${formatChangeTime(item.deletedAt)}</td><td>${utcDateToLocal(purgeDate(item).slice(0, 10))}</td><td class="actions">
+      <button class="restoreTrashBtn" type="button">Restore</button>
+      <button class="purgeTrashBtn" type="button">Delete forever</button>
+    </td></tr>`;
+        }).join('')
+        : '<tr><td colspan="4" class="muted">The trash is empty.</td></tr>';
+}
+
+function instrumentTypeOptionsHtml(selected) {
+    return Object.entries(INSTRUMENT_TYPES).map(([v, label]) => `<option value="${v}"${v === selected ? ' selected' : ''}>${label}</option>`).join('');
+}
+
+async function renderBalances(settings) {
+    const participants = settings.participants;
+    const home = settings.homeCurrency;
+    const nameOf = new Map(participants.map(p => [p.id, p.name]));
+    const label = (pid) => escapeHtml(nameOf.get(pid) || '(Removed traveler)');
+
+    const participantOptions = participants.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+    for (const elId of ['settlementFrom', 'settlementTo']) {
+        const el = document.getElementById(elId);
+        const prev = el.value;
+        el.innerHTML = participantOptions;
+        if (nameOf.has(prev)) el.value = prev;
+    }
+
+    if (participants.length < 2) {
+        $('#balancesTbody').innerHTML = '<tr><td colspan="5" class="muted">Add at least two travelers in Settings to split expenses.</td></tr>';
+        $('#settleUpList').innerHTML = '';
+        $('#settlementsList').innerHTML = '';
+        return;
+    }
+
+    const tripId = getActiveTripId();
+    const exps = await indexGetAllKey('expenses', 'byTrip', tripId);
+    const settlements = (await listSettlements()).sort((a, b) => new Date(b.date) - new Date(a.date));
+    const { stats, skipped } = computeBalances(exps, settlements, participants);
+
+    $('#balancesTbody').innerHTML = Array.from(stats).map(([pid, s]) => {
+        const cls = s.balanceCents > 0 ? 'balance-owed' : s.balanceCents < 0 ? 'balance-owes' : '';
+        return `<tr><td>${label(pid)}</td><td>${formatMoney(s.paidCents, home)}</td><td>${formatMoney(s.shareCents, home)}</td><td>${formatMoney(s.settledCents, home)}</td><td class="${cls}">${formatMoney(s.balanceCents, home)}</td></tr>`;
+    }).join('');
+    $('#balancesNote').textContent = `Balances are in ${home}. Positive means the traveler is owed money.`
+        + (skipped ? ` ${skipped} split expense(s) are still waiting for an FX rate and are not included yet.` : '');
+
+    const transfers = computeSettleUp(stats);
+    $('#settleUpList').innerHTML = transfers.length
+        ? transfers.map(t => `<li data-from="${t.fromId}" data-to="${t.toId}" data-cents="${t.amountCents}">${label(t.fromId)} → ${label(t.toId)} • ${formatMoney(t.amountCents, home)} <span class="actions"><button class="recordSettleBtn" type="button">Record as paid</button></span></li>`).join('')
+        : '<li class="muted">Everyone is settled up 🎉</li>';
+
+    $('#settlementsList').innerHTML = settlements
+        .map(st => `<li data-id="${st.id}">${utcDateToLocal(st.date)} • ${label(st.fromId)} → ${label(st.toId)} • ${formatMoney(st.amountCents, home)}${st.note ? ` • ${escapeHtml(st.note)}` : ''} <span class="actions"><button class="deleteSettlementBtn" type="button">Delete</button></span></li>`)
+        .join('');
 }
 
 // ---------- Inline expense editor helper ----------
@@ -808,64 +2606,768 @@ function createSelectHtml(options, selectedValue, valueAttr = 'value') {
     }).join('');
 }
 
-async function renderCategorySummary(expenses, categories, displayCurrency, endDate, homeCurrency) {
+async function renderCategorySummary(expenses, categories, displayCurrency, endDate, categoryScope) {
     const catMap = new Map(categories.map(c => [c.id, c.name]));
-    const aggregates = new Map();
-    for (const e of expenses) {
-        const agg = aggregates.get(e.categoryId) || { count: 0, baseCents: 0 };
-        agg.count += 1;
-        agg.baseCents += (e.baseAmountCents || 0);
-        aggregates.set(e.categoryId, agg);
-    }
+    const aggregates = categoryTotals(expenses, categoryScope);
 
     let rowsHtml = '';
-    let grandBase = 0, grandCount = 0;
+    let grandBase = 0;
     for (const [catId, { count, baseCents }] of aggregates) {
         const name = catMap.get(catId) || '(Unknown)';
         const displayCents = await convertBaseToTargetCents(baseCents, displayCurrency, endDate);
-        rowsHtml += `<tr><td>${name}</td><td>${count}</td><td>${displayCurrency} ${(displayCents / 100).toFixed(2)}</td></tr>`;
+        rowsHtml += `<tr><td>${name}</td><td>${count}</td><td>${formatMoney(displayCents, displayCurrency)}</td></tr>`;
         grandBase += baseCents;
-        grandCount += count;
     }
+    // An expense with line items counts once per category it touches, but once in the total
+    const grandCount = expenses.length;
     document.getElementById('categorySummaryBody').innerHTML = rowsHtml || `<tr><td colspan="3" class="muted">No expenses in this range.</td></tr>`;
     document.getElementById('catTotalCount').textContent = String(grandCount);
     try {
         const grandDisplayCents = await convertBaseToTargetCents(grandBase, displayCurrency, endDate);
-        document.getElementById('catGrandTotal').textContent = `${displayCurrency} ${(grandDisplayCents / 100).toFixed(2)}`;
+        document.getElementById('catGrandTotal').textContent = formatMoney(grandDisplayCents, displayCurrency);
     } catch (err) {
         document.getElementById('catGrandTotal').textContent = err.message;
     }
 }
 
-async function renderCategoryManagement(categories) {
+// ---------- Charts ----------
+
+function chartLegendHtml(slices, format) {
+    return `<ul class="chart-legend">${slices.filter(s => s.value > 0).map(s => `<li data-key="${escapeHtml(s.key)}">
+        <span class="chart-swatch" style="background:${s.color}"></span>${escapeHtml(s.label)} <span class="muted">${escapeHtml(format(s.value))}</span></li>`).join('')}</ul>`;
+}
+
+/**
+ * Draw the Summary charts for the filtered `expenses`: spending per day (a coverage period is
+ * spread over its days) with the running total, and donuts by category and by payment
+ * instrument or currency. Amounts are in `displayCurrency`; pending expenses are left out.
+ */
+async function renderCharts(expenses, { startDate, endDate, categoryScope, categories, settings, displayCurrency }) {
+    const priced = expenses.filter(e => e.baseAmountCents != null);
+    document.getElementById('chartsPanel').hidden = !priced.length;
+    if (!priced.length) return;
+    let convert;
+    try {
+        convert = await getBaseToTargetConverter(displayCurrency, endDate);
+    } catch (err) {
+        $('#dailyChart').innerHTML = `<p class="muted">${escapeHtml(err.message)}</p>`;
+        $('#categoryChart').innerHTML = '';
+        $('#splitChart').innerHTML = '';
+        return;
+    }
+    const format = (cents) => formatMoney(cents, displayCurrency);
+
+    const daily = new Map();
+    for (const e of priced) {
+        const { start, end } = coverageOf(e);
+        const from = startDate && startDate > start ? startDate : start;
+        const to = endDate && endDate < end ? endDate : end;
+        for (let day = from; day <= to; day = addDays(day, 1)) {
+            daily.set(day, (daily.get(day) || 0) + scopedBaseCents(prorateExpense(e, day, day), categoryScope));
+        }
+    }
+    const days = Array.from(daily.keys()).sort();
+    const bars = [];
+    let running = 0;
+    const cumulative = [];
+    // Fill the days without spending so the timeline is evenly spaced
+    for (let day = days[0]; day && day <= days[days.length - 1]; day = addDays(day, 1)) {
+        const value = convert(daily.get(day) || 0);
+        running += value;
+        bars.push({ key: day, label: utcDateToLocal(day).slice(5), value });
+        cumulative.push(running);
+    }
+    $('#dailyChart').innerHTML = barLineChart({ bars, line: cumulative, format });
+
+    const amortized = amortizeExpenses(priced, startDate, endDate);
+    const catName = new Map(categories.map(c => [c.id, c.name]));
+    const catSlices = Array.from(categoryTotals(amortized, categoryScope), ([catId, { baseCents }]) => ({ key: catId, label: catName.get(catId) || '(Unknown)', value: convert(baseCents) }))
+        .sort((a, b) => b.value - a.value)
+        .map((slice, i) => ({ ...slice, color: CHART_COLORS[i % CHART_COLORS.length] }));
+    const total = format(catSlices.reduce((acc, sl) => acc + sl.value, 0));
+    $('#categoryChart').innerHTML = donutChart({ slices: catSlices, format, centerText: total }) + chartLegendHtml(catSlices, format);
+
+    const splitBy = document.getElementById('chartSplitBy').value;
+    const groups = new Map();
+    for (const e of amortized) {
+        const key = splitBy === 'currency' ? e.currency : instrumentOf(settings, e)?.id;
+        if (key) groups.set(key, (groups.get(key) || 0) + scopedBaseCents(e, categoryScope));
+    }
+    const instrumentName = new Map(settings.instruments.map(i => [i.id, `${INSTRUMENT_TYPES[i.type].split(' ')[0]} ${i.name}`]));
+    const splitSlices = Array.from(groups, ([key, baseCents]) => ({ key, label: splitBy === 'currency' ? key : instrumentName.get(key), value: convert(baseCents) }))
+        .sort((a, b) => b.value - a.value)
+        .map((slice, i) => ({ ...slice, color: CHART_COLORS[i % CHART_COLORS.length] }));
+    const splitEl = document.getElementById('splitChart');
+    splitEl.dataset.chartFilter = splitBy;
+    splitEl.innerHTML = donutChart({ slices: splitSlices, format, centerText: total }) + chartLegendHtml(splitSlices, format);
+}
+
+/** Narrow the Summary filter to what a tapped bar or slice stands for, then show the matching expenses. */
+async function applyChartFilter(kind, key) {
+    const settings = await loadSettings();
+    const filter = readFilter(settings.homeCurrency);
+    if (kind === 'date') {
+        filter.startDate = key;
+        filter.endDate = key;
+    }
+    if (kind === 'category') filter.categoryIds = [key];
+    if (kind === 'instrument') filter.instrumentIds = [key];
+    if (kind === 'currency') filter.currencies = [key];
+    writeFilter(filter, settings.homeCurrency);
+    document.getElementById('savedFilter').value = '';
+    await render();
+    document.getElementById('expensesTbody').closest('.box').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Spending per leg within the filter. Coverage periods that span a border are split by day, so
+ * each leg only counts the nights it covers; anything dated between legs is listed on its own.
+ */
+async function renderLegSummary(expenses, { startDate, endDate, categoryScope, settings, displayCurrency }) {
+    const panel = document.getElementById('legSummaryPanel');
+    panel.hidden = !settings.legs.length;
+    if (!settings.legs.length) return;
+    const tbody = document.getElementById('legSummaryBody');
+    try {
+        const convert = await getBaseToTargetConverter(displayCurrency, endDate);
+        const format = (cents) => formatMoney(convert(cents), displayCurrency);
+        const sum = (list) => list.reduce((acc, e) => acc + scopedBaseCents(e, categoryScope), 0);
+        const total = sum(amortizeExpenses(expenses, startDate, endDate));
+        let inLegs = 0;
+        let rowsHtml = '';
+        for (const leg of settings.legs) {
+            const from = startDate && startDate > leg.startDate ? startDate : leg.startDate;
+            const to = endDate && endDate < leg.endDate ? endDate : leg.endDate;
+            if (to < from) continue;
+            const parts = amortizeExpenses(expenses, from, to);
+            const baseCents = sum(parts);
+            inLegs += baseCents;
+            rowsHtml += `<tr><td>${escapeHtml(leg.name)}<div class="muted">${legDatesText(leg)} · ${leg.currency}</div></td>
+                <td>${parts.length}</td><td>${format(baseCents)}</td><td>${format(Math.round(baseCents / daysInclusive(from, to)))}</td></tr>`;
+        }
+        const outside = expenses.filter(e => !legForDate(settings, e.date));
+        if (outside.length || total !== inLegs) {
+            rowsHtml += `<tr><td class="muted">Outside any leg</td><td>${outside.length}</td><td>${format(total - inLegs)}</td><td></td></tr>`;
+        }
+        tbody.innerHTML = rowsHtml || `<tr><td colspan="4" class="muted">No leg overlaps this range.</td></tr>`;
+        $('#legGrandTotal').textContent = format(total);
+    } catch (err) {
+        tbody.innerHTML = `<tr><td colspan="4" class="muted">${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+async function renderInstrumentSummary(expenses, settings, displayCurrency, endDate) {
+    const aggregates = new Map(settings.instruments.map(i => [i.id, { count: 0, baseCents: 0, feeCents: 0 }]));
+    for (const e of expenses) {
+        const inst = instrumentOf(settings, e);
+        if (!inst) continue;
+        const agg = aggregates.get(inst.id);
+        agg.count += 1;
+        agg.baseCents += (e.baseAmountCents || 0);
+        agg.feeCents += feeCentsOf(e, settings.homeCurrency);
+    }
+
+    const tbody = document.getElementById('instrumentSummaryBody');
+    try {
+        let rowsHtml = '';
+        let grandBase = 0, grandFees = 0;
+        for (const inst of settings.instruments) {
+            const { count, baseCents, feeCents } = aggregates.get(inst.id);
+            if (!count) continue;
+            const spend = await convertBaseToTargetCents(baseCents, displayCurrency, endDate);
+            const fees = await convertBaseToTargetCents(feeCents, displayCurrency, endDate);
+            rowsHtml += `<tr><td>${INSTRUMENT_TYPES[inst.type].split(' ')[0]} ${escapeHtml(inst.name)}</td><td>${count}</td><td>${formatMoney(spend, displayCurrency)}</td><td>${formatMoney(fees, displayCurrency)}</td></tr>`;
+            grandBase += baseCents;
+            grandFees += feeCents;
+        }
+        tbody.innerHTML = rowsHtml || `<tr><td colspan="4" class="muted">No expenses in this range.</td></tr>`;
+        $('#instrumentGrandTotal').textContent = formatMoney(await convertBaseToTargetCents(grandBase, displayCurrency, endDate), displayCurrency);
+        $('#instrumentFeeTotal').textContent = formatMoney(await convertBaseToTargetCents(grandFees, displayCurrency, endDate), displayCurrency);
+    } catch (err) {
+        tbody.innerHTML = `<tr><td colspan="4" class="muted">${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+async function renderBudget(settings, categories, displayCurrency) {
+    const panel = document.getElementById('budgetPanel');
+    const categoryBudgets = Object.entries(settings.categoryBudgets)
+        .filter(([catId]) => categories.some(c => c.id === catId));
+    if (settings.budgetCents == null && !categoryBudgets.length) { panel.hidden = true; return; }
+    panel.hidden = false;
+
+    // Budgets are trip-wide, so use every expense of the trip rather than the filtered range
+    const all = await indexGetAllKey('expenses', 'byTrip', getActiveTripId());
+    const spentCents = await sumBaseCents(all);
+    const firstExpenseDate = all.reduce((min, e) => (!min || e.date < min ? e.date : min), null);
+    const today = todayUTC();
+    const forecast = computeBudgetForecast({
+        spentCents,
+        usedCents: await sumBaseCents(amortizeExpenses(all, null, settings.endDate && settings.endDate < today ? settings.endDate : today)),
+        budgetCents: settings.budgetCents,
+        startDate: settings.startDate,
+        endDate: settings.endDate,
+        firstExpenseDate,
+        today
+    });
+
+    try {
+        const show = async (cents) => (cents == null ? '—' : formatMoney(await convertBaseToTargetCents(cents, displayCurrency), displayCurrency));
+        $('#budgetSpent').textContent = await show(forecast.spentCents);
+        $('#budgetRemaining').textContent = await show(forecast.remainingCents);
+        $('#budgetDaily').textContent = await show(forecast.dailyCents);
+        $('#budgetProjected').textContent = await show(forecast.projectedCents);
+
+        const fill = document.getElementById('budgetMeterFill');
+        if (forecast.budgetCents) {
+            const pct = Math.min(100, Math.round(forecast.spentCents / forecast.budgetCents * 100));
+            fill.style.width = `${pct}%`;
+            const projectedOver = forecast.projectedCents != null && forecast.projectedCents > forecast.budgetCents;
+            fill.className = 'budget-meter-fill' + (forecast.remainingCents < 0 ? ' over' : projectedOver ? ' warn' : '');
+        } else {
+            fill.style.width = '0';
+            fill.className = 'budget-meter-fill';
+        }
+
+        const catSpent = new Map(Array.from(categoryTotals(all), ([catId, { baseCents }]) => [catId, baseCents]));
+        const catName = new Map(categories.map(c => [c.id, c.name]));
+        let rowsHtml = '';
+        for (const [catId, budget] of categoryBudgets) {
+            const spent = catSpent.get(catId) || 0;
+            const diff = budget - spent;
+            const status = diff < 0
+                ? `<span class="balance-owes">Over by ${await show(-diff)}</span>`
+                : `<span class="balance-owed">${await show(diff)} left</span>`;
+            rowsHtml += `<tr><td>${escapeHtml(catName.get(catId))}</td><td>${await show(budget)}</td><td>${await show(spent)}</td><td>${status}</td></tr>`;
+        }
+        document.getElementById('categoryBudgetTable').hidden = !categoryBudgets.length;
+        $('#categoryBudgetBody').innerHTML = rowsHtml;
+
+        const notes = ['Budgets cover the whole trip, regardless of the date filter.'];
+        if (!settings.endDate) notes.push('Set a trip end date in Settings to see a projection.');
+        else if (forecast.elapsedDays) notes.push(`Day ${Math.min(forecast.elapsedDays, forecast.totalDays ?? forecast.elapsedDays)} of ${forecast.totalDays ?? '?'}.`);
+        $('#budgetNote').textContent = notes.join(' ');
+    } catch (err) {
+        $('#budgetNote').textContent = err.message;
+    }
+}
+
+async function renderCategoryManagement(categories, settings) {
     const usage = await countExpensesByCategoryAll();
     const tbody = document.getElementById('categoriesTbody');
-    if (!categories.length) { tbody.innerHTML = '<tr><td colspan="3" class="muted">No categories yet.</td></tr>'; return; }
+    if (!categories.length) { tbody.innerHTML = '<tr><td colspan="4" class="muted">No categories yet.</td></tr>'; return; }
     tbody.innerHTML = categories.map(c => {
         const count = usage.get(c.id) || 0;
         const usedBadge = count > 0 ? `<span class=badge>used: ${count}</span>` : '<span class=badge style="background:#efe;color:#141">unused</span>';
-        return `<tr data-id="${c.id}"><td>${c.name}</td><td>${usedBadge}</td><td class="actions">
+        const budget = settings.categoryBudgets[c.id];
+        const budgetCell = budget == null ? '<span class="muted">—</span>' : formatMoney(budget, settings.homeCurrency);
+        return `<tr data-id="${c.id}"><td>${c.name}</td><td>${usedBadge}</td><td>${budgetCell}</td><td class="actions">
       <button class="renameBtn" type="button">Rename</button>
+      <button class="budgetBtn" type="button">Budget</button>
       <button class="deleteBtn" type="button">Delete</button>
     </td></tr>`;
     }).join('');
 }
 
+// ---------- Card statement reconciliation ----------
+
+/** Minimal RFC 4180 CSV parser; the delimiter (comma, semicolon or tab) is sniffed from the first line. */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(f => f.trim())) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(f => f.trim())) rows.push(row);
+    return rows;
+}
+
+/** Parse a statement date in the given field order ('ymd' | 'dmy' | 'mdy') into YYYY-MM-DD. */
+function parseStatementDate(raw, order) {
+    const parts = String(raw || '').trim().split(/[^\d]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    let y, m, d;
+    if (order === 'ymd' || parts[0].length === 4) [y, m, d] = parts;
+    else if (order === 'mdy') [m, d, y] = parts;
+    else [d, m, y] = parts;
+    if (y.length === 2) y = (Number(y) > 50 ? '19' : '20') + y;
+    const iso = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+    return isNaN(Date.parse(iso)) ? null : iso;
+}
+
+/** Parse a statement amount like "1,234.56", "1.234,56 €" or "(12.00)" into signed minor units of `currency`. */
+function parseStatementAmount(raw, decimalSeparator, currency) {
+    let str = String(raw || '').trim();
+    const negative = /^\(.*\)$/.test(str) || /-/.test(str);
+    str = str.replace(/[^\d.,]/g, '');
+    str = decimalSeparator === ','
+        ? str.replace(/\./g, '').replace(',', '.')
+        : str.replace(/,/g, '');
+    if (!str || isNaN(Number(str))) return null;
+    const cents = toCents(str, currency);
+    return negative ? -cents : cents;
+}
+
+/** Turn CSV rows into charge lines using the column mapping; credits/payments are skipped. */
+function readStatementLines(rows, mapping, currency) {
+    const lines = [];
+    let skipped = 0;
+    rows.slice(1).forEach((cols, i) => {
+        const localDate = parseStatementDate(cols[mapping.dateCol], mapping.dateFormat);
+        const signed = parseStatementAmount(cols[mapping.amountCol], mapping.decimalSeparator, currency);
+        const amountCents = signed == null ? null : (mapping.chargeSign === 'negative' ? -signed : signed);
+        if (!localDate || !(amountCents > 0)) { skipped += 1; return; }
+        lines.push({
+            key: `line-${i}`,
+            date: localDateToUTC(localDate),
+            amountCents,
+            description: mapping.descCol === '' ? '' : String(cols[mapping.descCol] || '').trim()
+        });
+    });
+    return { lines, skipped };
+}
+
+const isSameStatementLine = (ref, line) => ref && ref.date === line.date && ref.amountCents === line.amountCents && ref.description === line.description;
+
+/**
+ * Pair statement lines with card expenses. A pair qualifies when the dates are within
+ * `windowDays` and the charged amount is within `tolerancePct` of the estimated home amount;
+ * qualifying pairs are then taken best-first (closest amount, then closest date) so each line
+ * and each expense is used at most once.
+ */
+function matchStatementLines(lines, expenses, { windowDays, tolerancePct }) {
+    const candidates = [];
+    for (const line of lines) {
+        for (const e of expenses) {
+            if (e.baseAmountCents == null) continue;
+            const dayDiff = Math.abs(daysInclusive(e.date, line.date) - 1);
+            if (dayDiff > windowDays) continue;
+            const amountDiff = Math.abs(line.amountCents - e.baseAmountCents) / line.amountCents;
+            if (amountDiff * 100 > tolerancePct) continue;
+            candidates.push({ line, expense: e, amountDiff, dayDiff });
+        }
+    }
+    candidates.sort((a, b) => a.amountDiff - b.amountDiff || a.dayDiff - b.dayDiff);
+    const usedLines = new Set(), usedExpenses = new Set(), matches = [];
+    for (const c of candidates) {
+        if (usedLines.has(c.line.key) || usedExpenses.has(c.expense.id)) continue;
+        usedLines.add(c.line.key);
+        usedExpenses.add(c.expense.id);
+        matches.push(c);
+    }
+    return {
+        matches,
+        unmatchedLines: lines.filter(l => !usedLines.has(l.key)),
+        unmatchedExpenses: expenses.filter(e => !usedExpenses.has(e.id))
+    };
+}
+
+/** Replace an expense's estimated home amount with what the statement says was charged. */
+async function reconcileExpense(expenseId, line, log = null) {
+    const exp = await get('expenses', expenseId);
+    if (!exp) throw new Error('Expense not found.');
+    const { homeCurrency } = await loadSettings();
+    if (exp.fxSource !== 'statement') {
+        exp.estimatedBaseAmountCents = exp.baseAmountCents;
+        exp.estimatedFeeCents = feeCentsOf(exp, homeCurrency);
+    }
+    // Whatever the statement charged above the rate-only estimate is what the card cost in fees
+    exp.feeCents = exp.estimatedBaseAmountCents == null
+        ? 0
+        : Math.max(0, line.amountCents - (exp.estimatedBaseAmountCents - (exp.estimatedFeeCents || 0)));
+    exp.baseAmountCents = line.amountCents;
+    exp.fxRatePpm = exp.amountLocalCents ? impliedRatePpm(exp.amountLocalCents, line.amountCents, exp.currency, homeCurrency) : exp.fxRatePpm;
+    exp.fxSource = 'statement';
+    exp.statementRef = { date: line.date, amountCents: line.amountCents, description: line.description };
+    await putLogged(log, 'expenses', exp);
+}
+
+// Parsed statement between "Match" and "Apply"
+let statementState = null;
+
+function guessStatementColumn(headers, pattern) {
+    const i = headers.findIndex(h => pattern.test(h));
+    return i >= 0 ? String(i) : '';
+}
+
+function populateStatementColumns(headers, saved) {
+    const options = headers.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+    const pick = (elId, savedName, pattern, optional) => {
+        const el = document.getElementById(elId);
+        el.innerHTML = (optional ? '<option value="">— none —</option>' : '') + options;
+        const savedIdx = savedName ? headers.indexOf(savedName) : -1;
+        el.value = savedIdx >= 0 ? String(savedIdx) : (guessStatementColumn(headers, pattern) || (optional ? '' : '0'));
+    };
+    pick('stmtDateCol', saved.dateColName, /date|datum|fecha|data/i, false);
+    pick('stmtAmountCol', saved.amountColName, /amount|betrag|montant|importe|importo|debit/i, false);
+    pick('stmtDescCol', saved.descColName, /desc|merchant|payee|detail|memo|name/i, true);
+}
+
+async function runStatementMatch() {
+    if (!statementState) throw new Error('Choose a statement CSV file first.');
+    const settings = await loadSettings();
+    const headers = statementState.rows[0] || [];
+    const mapping = {
+        dateCol: Number($('#stmtDateCol').value),
+        amountCol: Number($('#stmtAmountCol').value),
+        descCol: $('#stmtDescCol').value === '' ? '' : Number($('#stmtDescCol').value),
+        dateFormat: $('#stmtDateFormat').value,
+        chargeSign: $('#stmtChargeSign').value,
+        decimalSeparator: $('#stmtDecimal').value,
+        windowDays: Math.max(0, Number($('#stmtDays').value) || 0),
+        tolerancePct: Math.max(0, Number($('#stmtTolerance').value) || 0)
+    };
+    // Remember the mapping by header name so the next statement from the same bank just works
+    await saveSettings({
+        ...settings,
+        statementMapping: {
+            dateColName: headers[mapping.dateCol],
+            amountColName: headers[mapping.amountCol],
+            descColName: mapping.descCol === '' ? null : headers[mapping.descCol],
+            dateFormat: mapping.dateFormat,
+            chargeSign: mapping.chargeSign,
+            decimalSeparator: mapping.decimalSeparator,
+            windowDays: mapping.windowDays,
+            tolerancePct: mapping.tolerancePct
+        }
+    });
+
+    const { lines, skipped } = readStatementLines(statementState.rows, mapping, settings.homeCurrency);
+    const exps = (await indexGetAllKey('expenses', 'byTrip', getActiveTripId())).filter(e => e.method !== 'cash' && e.kind !== 'refund');
+    const alreadyReconciled = exps.filter(e => e.fxSource === 'statement');
+    const fresh = lines.filter(l => !alreadyReconciled.some(e => isSameStatementLine(e.statementRef, l)));
+    const result = matchStatementLines(fresh, exps.filter(e => e.fxSource !== 'statement'), mapping);
+    statementState.result = result;
+    renderStatementResults(result, {
+        home: settings.homeCurrency,
+        skipped,
+        alreadyApplied: lines.length - fresh.length
+    });
+}
+
+function renderStatementResults({ matches, unmatchedLines, unmatchedExpenses }, { home, skipped, alreadyApplied }) {
+    const expLabel = (e) => escapeHtml(`${utcDateToLocal(e.date)} • ${formatMoney(e.amountLocalCents, e.currency)}${e.description ? ` • ${e.description}` : ''}`);
+    $('#statementMatchedBody').innerHTML = matches.length
+        ? matches.map(m => `<tr data-line="${escapeHtml(m.line.key)}" data-expense-id="${escapeHtml(m.expense.id)}">
+            <td><input class="stmt-apply" type="checkbox" checked aria-label="Apply match" /></td>
+            <td>${utcDateToLocal(m.line.date)}<div class="muted">${escapeHtml(m.line.description)}</div></td>
+            <td>${formatMoney(m.line.amountCents, home)}</td>
+            <td>${expLabel(m.expense)}</td>
+            <td>${m.expense.baseAmountCents == null ? '—' : formatMoney(m.expense.baseAmountCents, home)}</td>
+        </tr>`).join('')
+        : '<tr><td colspan="5" class="muted">No automatic matches.</td></tr>';
+
+    const expenseOptions = '<option value="">— leave unmatched —</option>'
+        + unmatchedExpenses.map(e => `<option value="${escapeHtml(e.id)}">${expLabel(e)}</option>`).join('');
+    $('#statementUnmatchedLinesBody').innerHTML = unmatchedLines.length
+        ? unmatchedLines.map(l => `<tr data-line="${escapeHtml(l.key)}">
+            <td>${utcDateToLocal(l.date)}</td>
+            <td>${escapeHtml(l.description)}</td>
+            <td>${formatMoney(l.amountCents, home)}</td>
+            <td><select class="stmt-manual" aria-label="Match to expense">${expenseOptions}</select></td>
+        </tr>`).join('')
+        : '<tr><td colspan="4" class="muted">Every statement line was matched.</td></tr>';
+
+    $('#statementUnmatchedExpenses').innerHTML = unmatchedExpenses.length
+        ? unmatchedExpenses.map(e => `<li>${expLabel(e)} <span class="muted">(est. ${e.baseAmountCents == null ? 'pending' : formatMoney(e.baseAmountCents, home)})</span></li>`).join('')
+        : '<li class="muted">Every card expense was matched.</li>';
+
+    const notes = [];
+    if (skipped) notes.push(`${skipped} row(s) skipped (credits, payments or unreadable).`);
+    if (alreadyApplied) notes.push(`${alreadyApplied} line(s) were already reconciled.`);
+    $('#statementNote').textContent = notes.join(' ');
+    document.getElementById('statementResults').hidden = false;
+}
+
+/** Reconcile the chosen pairs as one change. Returns how many were applied and the id of the change. */
+async function applyStatementMatches() {
+    if (!statementState || !statementState.result) return { count: 0, changeId: null };
+    const { matches, unmatchedLines } = statementState.result;
+    const lineByKey = new Map([...matches.map(m => m.line), ...unmatchedLines].map(l => [l.key, l]));
+    const pairs = [];
+    document.querySelectorAll('#statementMatchedBody tr[data-line]').forEach(tr => {
+        if (tr.querySelector('.stmt-apply').checked) pairs.push([tr.dataset.expenseId, lineByKey.get(tr.dataset.line)]);
+    });
+    document.querySelectorAll('#statementUnmatchedLinesBody tr[data-line]').forEach(tr => {
+        const expenseId = tr.querySelector('.stmt-manual').value;
+        if (expenseId) pairs.push([expenseId, lineByKey.get(tr.dataset.line)]);
+    });
+    const ids = pairs.map(([id]) => id);
+    if (new Set(ids).size !== ids.length) throw new Error('An expense is matched to more than one statement line.');
+    if (!pairs.length) return { count: 0, changeId: null };
+    return withChangeLog(`Reconciled ${pairs.length} expense(s) against a statement`, async (log) => {
+        for (const [expenseId, line] of pairs) await reconcileExpense(expenseId, line, log);
+        await repriceOriginalRateRefunds(log);
+        return { count: pairs.length, changeId: changeIdOf(log) };
+    });
+}
+
+// ---------- Expense export (CSV / Excel) ----------
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+const fileSlug = (name) => String(name || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+
+/** One-line text of an expense's line items, tax and tip, e.g. "Wine €18.00 (taxed); Tip €2.00". */
+function lineItemsText(e, catMap) {
+    const parts = (e.lineItems || []).map(i =>
+        `${i.description || catMap.get(i.categoryId) || '—'} ${formatMoney(i.amountLocalCents, e.currency)}${i.taxable ? ' (taxed)' : ''}`);
+    if (e.taxCents) parts.push(`Tax ${formatMoney(e.taxCents, e.currency)}`);
+    if (e.tipCents) parts.push(`Tip ${formatMoney(e.tipCents, e.currency)}`);
+    return parts.join('; ');
+}
+
+/** Short id printed in exports so a line can be matched to its receipt photo. */
+const receiptRef = (expenseId) => `R-${expenseId.slice(0, 8).toUpperCase()}`;
+
+/** Receipt column text: the ref, with the attachment count when there is more than one. */
+const receiptRefs = (expenseId, count) => (!count ? '' : count > 1 ? `${receiptRef(expenseId)} (${count})` : receiptRef(expenseId));
+
+/**
+ * Rows for the expense export: the currently filtered Summary range, oldest first,
+ * plus a category summary. Amounts are plain numbers so spreadsheets can sum them.
+ */
+async function buildExpenseExport() {
+    const settings = await loadSettings();
+    const home = settings.homeCurrency;
+    const filter = readFilter(home);
+    const { startDate, endDate } = filter;
+    const exps = (await getFilteredExpenses(filter, settings)).sort((a, b) => a.date.localeCompare(b.date));
+    const amortized = amortizeExpenses(exps, startDate, endDate);
+    const categoryScope = filter.categoryIds.length ? new Set(filter.categoryIds) : null;
+    const cats = await listCategories();
+    const catMap = new Map(cats.map(c => [c.id, c.name]));
+    const attachmentCount = new Map();
+    for (const e of exps) attachmentCount.set(e.id, (await listAttachments(e.id)).length);
+
+    const expenseRows = [[
+        'Date', 'Category', 'Payment Instrument', 'Local Amount', 'Currency', 'FX Rate', 'FX Source',
+        `Home Amount (${home}, incl. fees)`, `Fees (${home})`, 'Tax (local)', 'Tip (local)', 'Line Items', 'Description', 'Receipt',
+        'Covers From', 'Covers To', `In Range (${home})`
+    ]];
+    for (const e of exps) {
+        const inRange = prorateExpense(e, startDate, endDate);
+        expenseRows.push([
+            utcDateToLocal(e.date),
+            catMap.get(e.categoryId) || '',
+            instrumentOf(settings, e)?.name || e.method,
+            Number(fromCents(e.amountLocalCents, e.currency)),
+            e.currency,
+            e.fxRatePpm ? Number((e.fxRatePpm / PPM).toFixed(6)) : '',
+            e.fxSource || '',
+            e.baseAmountCents == null ? 'pending' : Number(fromCents(e.baseAmountCents, home)),
+            Number(fromCents(feeCentsOf(e, home), home)),
+            e.taxCents ? Number(fromCents(e.taxCents, e.currency)) : '',
+            e.tipCents ? Number(fromCents(e.tipCents, e.currency)) : '',
+            lineItemsText(e, catMap),
+            e.description || '',
+            receiptRefs(e.id, attachmentCount.get(e.id)),
+            e.coverage ? utcDateToLocal(e.coverage.start) : '',
+            e.coverage ? utcDateToLocal(e.coverage.end) : '',
+            inRange.baseAmountCents == null ? 'pending' : Number(fromCents(inRange.baseAmountCents, home))
+        ]);
+    }
+
+    const summaryRows = [['Category', 'Count', `Total (${home})`]];
+    let totalCents = 0;
+    for (const [catId, { count, baseCents }] of categoryTotals(amortized, categoryScope)) {
+        summaryRows.push([catMap.get(catId) || '(Unknown)', count, Number(fromCents(baseCents, home))]);
+        totalCents += baseCents;
+    }
+    summaryRows.push(['All Categories', amortized.length, Number(fromCents(totalCents, home))]);
+
+    const trips = await listTrips();
+    const trip = trips.find(t => t.id === getActiveTripId());
+    const range = startDate || endDate ? `-${utcDateToLocal(startDate) || 'start'}_${utcDateToLocal(endDate) || 'end'}` : '';
+    return { expenseRows, summaryRows, baseName: `tripx-${fileSlug(trip?.name)}-expenses${range}` };
+}
+
+function toCsv(rows) {
+    const cell = (v) => {
+        const str = v == null ? '' : String(v);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return rows.map(r => r.map(cell).join(',')).join('\r\n');
+}
+
+async function exportExpensesCsv() {
+    const { expenseRows, baseName } = await buildExpenseExport();
+    // BOM so Excel opens the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + toCsv(expenseRows)], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+}
+
+async function exportExpensesXlsx() {
+    const { expenseRows, summaryRows, baseName } = await buildExpenseExport();
+    const blob = buildXlsx([
+        { name: 'Expenses', rows: expenseRows },
+        { name: 'By Category', rows: summaryRows }
+    ]);
+    downloadBlob(blob, `${baseName}.xlsx`);
+}
+
+// ---------- Printable report ----------
+// Object URLs for receipt images in the open report; revoked by closeReport
+let reportUrls = [];
+
+function reportUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    reportUrls.push(url);
+    return url;
+}
+
+/**
+ * Build the reimbursement report for the filtered Summary range into #reportView.
+ * It is plain HTML styled for print, so "Save as PDF" in the print dialog works offline.
+ */
+async function generateReport({ currency, includePhotos }) {
+    const settings = await loadSettings();
+    const home = settings.homeCurrency;
+    const filter = readFilter(home);
+    const { startDate, endDate } = filter;
+    // Lines show only the days of a coverage period inside the range, so they add up to the totals
+    const exps = amortizeExpenses(await getFilteredExpenses(filter, settings), startDate, endDate).sort((a, b) => a.date.localeCompare(b.date));
+    const categoryScope = filter.categoryIds.length ? new Set(filter.categoryIds) : null;
+    const cats = await listCategories();
+    const catMap = new Map(cats.map(c => [c.id, c.name]));
+    const convert = await getBaseToTargetConverter(currency, endDate);
+    const trip = (await listTrips()).find(t => t.id === getActiveTripId());
+    const money = (cents) => formatMoney(cents, currency);
+
+    const firstDate = startDate || exps[0]?.date;
+    const lastDate = endDate || exps[exps.length - 1]?.date;
+    const rangeText = firstDate ? `${utcDateToLocal(firstDate)} – ${utcDateToLocal(lastDate)}` : 'No expenses';
+
+    const attachments = new Map();
+    for (const e of exps) {
+        const list = await listAttachments(e.id);
+        if (list.length) attachments.set(e.id, list);
+    }
+
+    const priced = exps.filter(e => e.baseAmountCents != null);
+    const pendingCount = exps.length - priced.length;
+    const byCategory = categoryTotals(priced, categoryScope);
+    const totalBase = Array.from(byCategory.values()).reduce((acc, t) => acc + t.baseCents, 0);
+    const categoryRows = Array.from(byCategory)
+        .sort((a, b) => b[1].baseCents - a[1].baseCents)
+        .map(([catId, { count, baseCents }]) => `<tr><td>${escapeHtml(catMap.get(catId) || '(Unknown)')}</td><td class="num">${count}</td><td class="num">${money(convert(baseCents))}</td></tr>`)
+        .join('');
+
+    const lineRows = exps.map(e => `<tr>
+        <td>${utcDateToLocal(e.date)}</td>
+        <td>${escapeHtml(catMap.get(e.categoryId) || '—')}</td>
+        <td>${escapeHtml(e.description || '')}${lineItemsText(e, catMap) ? `<div class="report-items">${escapeHtml(lineItemsText(e, catMap))}</div>` : ''}${coverageText(e) ? `<div class="report-items">${escapeHtml(coverageText(e))}${e.coveredDays ? `, ${e.coveredDays} in this report` : ''}</div>` : ''}</td>
+        <td>${escapeHtml(instrumentOf(settings, e)?.name || e.method)}</td>
+        <td class="num">${formatMoney(e.amountLocalCents, e.currency)}</td>
+        <td class="num">${formatRate(e.fxRatePpm)}</td>
+        <td class="num">${e.baseAmountCents == null ? 'pending' : money(convert(e.baseAmountCents))}</td>
+        <td>${receiptRefs(e.id, attachments.get(e.id)?.length)}</td>
+    </tr>`).join('');
+
+    // Every attachment gets its own figure; PDFs can't be drawn inline so they are listed by name
+    const receipts = includePhotos
+        ? exps.filter(e => attachments.has(e.id)).flatMap(e => {
+            const list = attachments.get(e.id);
+            return list.map((a, k) => {
+                const ref = list.length > 1 ? `${receiptRef(e.id)}-${k + 1}` : receiptRef(e.id);
+                const media = a.kind === 'pdf'
+                    ? `<div class="report-pdf">📄 ${escapeHtml(a.name || 'PDF')} — PDF attachment, kept in the app and in backups</div>`
+                    : `<img src="${reportUrl(a.blob)}" alt="Receipt ${ref}" />`;
+                return `<figure class="report-receipt">
+            ${media}
+            <figcaption><strong>${ref}</strong> • ${utcDateToLocal(e.date)} • ${escapeHtml(catMap.get(e.categoryId) || '—')} • ${formatMoney(e.amountLocalCents, e.currency)}${e.description ? ` • ${escapeHtml(e.description)}` : ''}${a.caption ? ` • ${escapeHtml(a.caption)}` : ''}</figcaption>
+        </figure>`;
+            });
+        }).join('')
+        : '';
+
+    const rateNote = currency === home
+        ? `Amounts in ${home} include card fees as recorded.`
+        : `Amounts converted from ${home} to ${currency} at the ${utcDateToLocal(endDate || todayUTC())} rate.`;
+
+    $('#reportContent').innerHTML = `
+        <header class="report-header">
+            <h1>${escapeHtml(trip?.name || 'Trip')} — Expense Report</h1>
+            <div>${rangeText} • ${exps.length} expense(s)${hasDetailFilter(filter) ? ' (filtered)' : ''} • generated ${todayLocal()}</div>
+        </header>
+        <section>
+            <h2>Totals by Category</h2>
+            <table class="report-table">
+                <thead><tr><th>Category</th><th class="num">Count</th><th class="num">Total</th></tr></thead>
+                <tbody>${categoryRows || '<tr><td colspan="3">No expenses.</td></tr>'}</tbody>
+                <tfoot><tr><td>Total</td><td class="num">${exps.length - pendingCount}</td><td class="num">${money(convert(totalBase))}</td></tr></tfoot>
+            </table>
+            <p class="report-note">${rateNote}${pendingCount ? ` ${pendingCount} expense(s) awaiting an FX rate are excluded from totals.` : ''}</p>
+        </section>
+        <section>
+            <h2>Line Items</h2>
+            <table class="report-table">
+                <thead><tr><th>Date</th><th>Category</th><th>Description</th><th>Paid with</th><th class="num">Local</th><th class="num">Rate</th><th class="num">${currency}</th><th>Receipt</th></tr></thead>
+                <tbody>${lineRows || '<tr><td colspan="8">No expenses.</td></tr>'}</tbody>
+            </table>
+        </section>
+        ${receipts ? `<section class="report-receipts"><h2>Receipts</h2>${receipts}</section>` : ''}`;
+    document.getElementById('reportView').hidden = false;
+}
+
+function closeReport() {
+    document.getElementById('reportView').hidden = true;
+    $('#reportContent').innerHTML = '';
+    reportUrls.forEach(url => URL.revokeObjectURL(url));
+    reportUrls = [];
+}
+
 // ---------- Backup & Restore ----------
 async function exportBackup() {
+    const passphraseEl = document.getElementById('backupPassphrase');
+    const passphrase = passphraseEl.value;
+    if (passphrase && passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+        alert('The two passphrases don\'t match.');
+        return;
+    }
     try {
-        const stores = ['trips', 'settings', 'categories', 'cashBatches', 'fxRates', 'expenses', 'photos'];
-        const payload = { meta: { exportedAt: new Date().toISOString() }, stores: {} };
+        const stores = ['trips', 'settings', 'categories', 'cashBatches', 'fxRates', 'expenses', 'settlements', 'attachments'];
+        const payload = { meta: { exportedAt: new Date().toISOString(), dbVersion: DB_VERSION }, stores: {} };
         for (const s of stores) payload.stores[s] = await getAll(s);
-        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `tripx-backup-${todayLocal()}.json`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        URL.revokeObjectURL(url);
+        // JSON can't hold Blobs, so attachment files travel as data URLs
+        const attachments = [];
+        for (const a of payload.stores.attachments) attachments.push(await serializeAttachment(a));
+        payload.stores.attachments = attachments;
+        const json = JSON.stringify(payload, null, 2);
+        if (passphrase) {
+            const blob = new Blob([JSON.stringify(await encryptBackup(json, passphrase))], { type: 'application/json' });
+            downloadBlob(blob, `tripx-backup-${todayLocal()}.encrypted.json`);
+            passphraseEl.value = '';
+            document.getElementById('backupPassphraseConfirm').value = '';
+        } else {
+            downloadBlob(new Blob([json], { type: 'application/json' }), `tripx-backup-${todayLocal()}.json`);
+        }
     } catch (err) {
         alert('Export failed: ' + (err.message || err));
     }
@@ -876,17 +3378,47 @@ async function importBackupFile(file) {
     const text = await file.text();
     let parsed;
     try { parsed = JSON.parse(text); } catch { throw new Error('Invalid JSON file.'); }
+    if (isEncryptedBackup(parsed)) {
+        // Always asked here: the export field holds the passphrase for new backups, not this one
+        let message = 'This backup is encrypted. Enter its passphrase:';
+        for (;;) {
+            const passphrase = prompt(message);
+            if (!passphrase) throw new Error('This backup is encrypted; enter its passphrase to import it.');
+            try {
+                parsed = JSON.parse(await decryptBackup(parsed, passphrase));
+                break;
+            } catch (err) {
+                if (err.name !== 'WrongPassphraseError') throw err;
+                message = `${err.message} Try again:`;
+            }
+        }
+    }
     if (!parsed || typeof parsed !== 'object' || !parsed.stores) throw new Error('Backup format not recognized.');
 
-    const wipe = confirm('Import: Do you want to wipe existing data and replace it with the backup? Click Cancel to merge (existing records will be kept, incoming records will overwrite by id).');
+    const wipe = confirm('Import: Do you want to wipe existing data and replace it with the backup? The trash and edit history are kept. Click Cancel to merge (existing records will be kept, incoming records will overwrite by id).');
+
+    // Backups from before attachments hold one photo per expense
+    if (Array.isArray(parsed.stores.photos)) {
+        parsed.stores.attachments = [...(parsed.stores.attachments || []), ...convertLegacyPhotos(parsed.stores.photos)];
+        delete parsed.stores.photos;
+    }
 
     const storeNames = Object.keys(parsed.stores);
     for (const s of storeNames) {
         if (!Array.isArray(parsed.stores[s])) throw new Error(`Backup store "${s}" is not an array.`);
     }
+    if (parsed.stores.attachments) parsed.stores.attachments = parsed.stores.attachments.map(deserializeAttachment);
+
+    // Backups made before rates were keyed per currency pair carry the old row layout
+    if (Array.isArray(parsed.stores.fxRates)) {
+        parsed.stores.fxRates = convertLegacyFxRows(parsed.stores.fxRates, parsed.stores.expenses || [], parsed.stores.settings || []);
+    }
+    // Backups older than minor-unit storage hold every amount with two decimals
+    if (!(parsed.meta?.dbVersion >= 7)) rescaleLegacyAmounts(parsed.stores);
 
     const keyFor = (store, item) => {
         if (!item || typeof item !== 'object') return null;
+        if (store === 'fxRates') return [item.date, item.base, item.quote];
         if (item.id != null) return item.id;
         if (item.expenseId != null) return item.expenseId;
         if (item.date != null) return item.date;
@@ -896,7 +3428,9 @@ async function importBackupFile(file) {
 
     // Stores that must always be wiped in wipe-mode, even if absent from the backup.
     // This prevents orphaned records when importing older backups that lack newer stores.
-    const alwaysWipeStores = ['photos'];
+    // Backups don't hold the trash or the change log, so those are kept: deleted items stay
+    // restorable for their retention period, and undo refuses records the import replaced.
+    const alwaysWipeStores = ['attachments'];
 
     try {
         if (wipe) {
@@ -933,6 +3467,7 @@ async function importBackupFile(file) {
                 localStorage.setItem('activeTrip', activeTripId);
             }
         }
+        await backfillThumbnails();
         await render();
         alert('Import complete ✓');
     } catch (err) {
@@ -940,40 +3475,186 @@ async function importBackupFile(file) {
     }
 }
 
+// ---------- Home currency re-basing ----------
+
+/**
+ * Work out everything that changes when the active trip moves to `newHome`, without writing
+ * anything; see rebaseTripRecords. Expenses in the trash are re-priced too.
+ */
+async function planRebase(newHome, onProgress = () => {}) {
+    const settings = await loadSettings();
+    const oldHome = settings.homeCurrency;
+    const tripId = getActiveTripId();
+
+    const rates = new Map();
+    const rateFor = async (date, currency) => {
+        const key = `${date}|${currency}`;
+        if (!rates.has(key)) {
+            let result = null;
+            try { result = await getOrFetchRate(date, currency, newHome); } catch { /* treated as unavailable */ }
+            rates.set(key, result);
+        }
+        return rates.get(key);
+    };
+
+    const today = await rateFor(todayUTC(), oldHome);
+    if (!today) throw new Error(`Unable to get a ${oldHome}→${newHome} rate${describeFxErrors()}. Connect to the internet and try again.`);
+    return rebaseTripRecords({
+        settings,
+        expenses: await indexGetAllKey('expenses', 'byTrip', tripId),
+        cashBatches: await indexGetAllKey('cashBatches', 'byTrip', tripId),
+        settlements: await indexGetAllKey('settlements', 'byTrip', tripId),
+        trash: await indexGetAllKey('trash', 'byTrip', tripId)
+    }, { newHome, todayPpm: today.ppm, rateFor, onProgress });
+}
+
+/** Write a re-base plan in one transaction, so the trip is never left with two home currencies. */
+async function applyRebase(plan) {
+    // Older versions in the change log stay priced in the old home currency; see restoreExpenseVersion
+    const settings = { ...plan.settings, id: settingsKey(), rebasedAt: new Date().toISOString() };
+    await tx(['settings', 'cashBatches', 'expenses', 'settlements', 'trash'], 'readwrite', (settingsStore, batchStore, expenseStore, settlementStore, trashStore) => {
+        settingsStore.put(settings);
+        for (const b of plan.cashBatches) batchStore.put(b);
+        for (const e of plan.expenses) expenseStore.put(e);
+        for (const st of plan.settlements) settlementStore.put(st);
+        for (const item of plan.trash) trashStore.put(item);
+    });
+}
+
+async function tripHasHomeAmounts(settings) {
+    const tripId = getActiveTripId();
+    if (settings.budgetCents != null || Object.keys(settings.categoryBudgets).length) return true;
+    if (Object.keys(settings.manualRates).length || settings.instruments.some(i => i.fixedFeeCents)) return true;
+    // Trashed expenses count too, so they are re-based before they can be restored
+    for (const store of ['expenses', 'cashBatches', 'settlements', 'trash']) {
+        if ((await indexGetAllKey(store, 'byTrip', tripId)).length) return true;
+    }
+    return false;
+}
+
+// Plan awaiting confirmation in the re-base panel
+let pendingRebase = null;
+
+function closeRebasePanel() {
+    pendingRebase = null;
+    $('#rebasePanel').hidden = true;
+    $('#settingsForm').querySelector('button[type="submit"]').disabled = false;
+}
+
+async function startRebase(newHome, formValues) {
+    const settings = await loadSettings();
+    const panel = $('#rebasePanel');
+    const fill = $('#rebaseMeterFill');
+    panel.hidden = false;
+    $('#settingsForm').querySelector('button[type="submit"]').disabled = true;
+    $('#applyRebaseBtn').disabled = true;
+    $('#rebaseTitle').textContent = `Re-basing from ${settings.homeCurrency} to ${newHome}`;
+    $('#rebaseOldTotal').textContent = '—';
+    $('#rebaseNewTotal').textContent = '—';
+    $('#rebaseStatus').textContent = 'Looking up rates…';
+    fill.style.width = '0%';
+    try {
+        const plan = await planRebase(newHome, (done, total) => {
+            fill.style.width = `${total ? Math.round(done / total * 100) : 100}%`;
+            $('#rebaseStatus').textContent = `Looking up rates… ${done} of ${total}`;
+        });
+        pendingRebase = { plan, formValues };
+        $('#rebaseOldTotal').textContent = formatMoney(plan.oldTotalCents, plan.oldHome);
+        $('#rebaseNewTotal').textContent = formatMoney(plan.newTotalCents, plan.newHome);
+        $('#rebaseStatus').textContent = plan.pendingCount
+            ? `${plan.pendingCount} expense(s) have no ${plan.newHome} rate yet and will stay pending until you are back online.`
+            : `All ${plan.expenses.length} expense(s) re-priced. Nothing is saved until you apply.`;
+        $('#applyRebaseBtn').disabled = false;
+    } catch (err) {
+        $('#rebaseStatus').textContent = err.message;
+        pendingRebase = null;
+        $('#settingsForm').querySelector('button[type="submit"]').disabled = false;
+    }
+}
+
+/** Cash batches whose re-basing rate was unavailable get it once a rate can be found. */
+async function resolvePendingBatches(tripId) {
+    const batches = await indexGetAllKey('cashBatches', 'byTrip', tripId);
+    for (const b of batches) {
+        if (!b.rebaseFrom) continue;
+        const r = await getOrFetchRate(b.date, b.rebaseFrom);
+        if (!r) continue;
+        b.ratePpm = Math.round(b.ratePpm * r.ppm / PPM);
+        delete b.rebaseFrom;
+        await put('cashBatches', b);
+    }
+    return new Map(batches.map(b => [b.id, b]));
+}
+
 // ---------- Sync pending offline expenses ----------
 async function syncPendingExpenses() {
     try {
         const tripId = getActiveTripId();
         const all = await indexGetAllKey('expenses', 'byTrip', tripId);
-        const pending = all.filter(e => e.method !== 'cash' && (!e.fxRatePpm || e.fxSource === 'pending' || e.baseAmountCents == null));
+        const pending = all.filter(e => !e.fxRatePpm || e.fxSource === 'pending' || e.baseAmountCents == null);
         if (!pending.length) return;
-        for (const e of pending) {
-            try {
-                const result = await getOrFetchRate(e.date, e.currency);
-                if (!result) continue;
-                const settings = await loadSettings();
-                const eff = (result.source === 'identity')
-                    ? result.ppm
-                    : applyFeePpm(result.ppm, settings.ccFeePercent ?? 2.5);
-                e.fxRatePpm = result.ppm;
-                e.fxSource = result.source;
-                e.baseAmountCents = Math.round(e.amountLocalCents * eff / PPM);
-                await put('expenses', e);
-            } catch { /* ignore per-expense */ }
-        }
+        const batchesById = await resolvePendingBatches(tripId);
+        await withChangeLog(`Priced ${pending.length} pending expense(s)`, async (log) => {
+            for (const e of pending) {
+                try {
+                    const settings = await loadSettings();
+                    const allocations = cashAllocationsOf(e);
+                    if (e.method === 'cash' && allocations.length) {
+                        if (allocations.some(a => batchesById.get(a.batchId)?.rebaseFrom)) continue;
+                        e.baseAmountCents = cashBaseCents(allocations, batchesById, settings.homeCurrency);
+                        e.fxRatePpm = e.amountLocalCents ? impliedRatePpm(e.amountLocalCents, e.baseAmountCents, e.currency, settings.homeCurrency) : batchesById.get(allocations[0].batchId)?.ratePpm;
+                        e.fxSource = 'cashBatch';
+                        await putLogged(log, 'expenses', e);
+                        continue;
+                    }
+                    if (isOriginalRateRefund(e)) continue;
+                    const result = await getOrFetchRate(e.date, e.currency);
+                    if (!result) continue;
+                    e.fxRatePpm = result.ppm;
+                    e.fxSource = result.source;
+                    Object.assign(e, cardBaseCents(e, instrumentOf(settings, e), settings.homeCurrency));
+                    await putLogged(log, 'expenses', e);
+                } catch { /* ignore per-expense */ }
+            }
+            await repriceOriginalRateRefunds(log);
+        });
         await render();
     } catch { /* top-level ignore */ }
 }
 
 // ---------- Toast notifications ----------
-function showToast(message, type = 'success', duration = 2500) {
+/** `action` ({ label, onClick }) adds a button to the toast, e.g. Undo. */
+function showToast(message, type = 'success', duration = 2500, action = null) {
     const el = document.getElementById('toast');
     el.textContent = message;
-    el.className = 'toast ' + type + ' show';
+    if (action) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => { el.className = 'toast'; action.onClick(); });
+        el.append(' ', btn);
+    }
+    el.className = 'toast ' + type + ' show' + (action ? ' has-action' : '');
     clearTimeout(el._timer);
     el._timer = setTimeout(() => { el.className = 'toast'; }, duration);
 }
 
+/** Toast with a button that undoes change `changeId`; a plain toast when nothing was logged. */
+function showUndoToast(changeId, message) {
+    if (!changeId) { showToast(message); return; }
+    showToast(message, 'success', 6000, {
+        label: 'Undo',
+        onClick: async () => {
+            try {
+                if (await undoChange(changeId)) showToast('Undone — some cash expenses now spend more than you bought', 'error', 4000);
+                else showToast('Undone ✓');
+                await render();
+            } catch (err) { alert(err.message); }
+        }
+    });
+}
+
 // ---------- Online/offline indicator ----------
 function updateOnlineStatus() {
     const badge = document.getElementById('onlineStatus');
@@ -986,13 +3667,217 @@ function updateOnlineStatus() {
     }
 }
 
-// ---------- OCR UI helper ----------
-function setOcrStatus(state, text) {
-    const el = document.getElementById('ocrStatus');
-    const textEl = document.getElementById('ocrStatusText');
-    el.hidden = state === 'hidden';
-    el.className = 'ocr-status' + (state === 'done' ? ' done' : state === 'error' ? ' error' : '');
-    if (text) textEl.textContent = text;
+// ---------- OCR UI helper ----------
+function setOcrStatus(state, text) {
+    const el = document.getElementById('ocrStatus');
+    const textEl = document.getElementById('ocrStatusText');
+    el.hidden = state === 'hidden';
+    el.className = 'ocr-status' + (state === 'done' ? ' done' : state === 'error' ? ' error' : '');
+    if (text) textEl.textContent = text;
+}
+
+// ---------- Add form attachments ----------
+// Files picked on the Add form and not saved yet: [{ file, caption, name, record, previewUrl }],
+// where `record` is the resized attachment (null if the file couldn't be read).
+// `ocrSource` is the one whose scan fills the form.
+let pendingAttachments = [];
+let ocrSource = null;
+
+function renderPendingAttachments() {
+    $('#photoPreview').innerHTML = pendingAttachments.map((a, i) => {
+        const thumb = !a.record
+            ? `<span class="attachment-thumb attachment-failed" title="Could not read ${escapeHtml(a.name)}">⚠️</span>`
+            : a.record.kind === 'pdf'
+                ? `<span class="attachment-thumb attachment-pdf" title="${escapeHtml(a.name)}">📄</span>`
+                : `<img class="attachment-thumb" src="${a.previewUrl}" alt="Preview" title="Click to enlarge" />`;
+        return `<div class="attachment-item" data-index="${i}">${thumb}<input class="attachment-caption" type="text" placeholder="Caption" value="${escapeHtml(a.caption)}" aria-label="Caption for ${escapeHtml(a.name)}" /><button type="button" class="remove-photo" title="Remove">✕</button></div>`;
+    }).join('');
+}
+
+function releasePendingAttachment(entry) {
+    if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+}
+
+function clearPendingAttachments() {
+    pendingAttachments.forEach(releasePendingAttachment);
+    pendingAttachments = [];
+    ocrSource = null;
+    renderPendingAttachments();
+}
+
+// ---------- OCR review panel ----------
+// The last scan on the Add form: raw text (saved with the expense), Tesseract word boxes and
+// the ranked candidates. Cleared when the photo is removed or the expense is added.
+let ocrReview = null;
+
+const OCR_FIELDS = { total: 'Total', date: 'Date', merchant: 'Merchant' };
+
+/** Natural size of an image, to place Tesseract's pixel boxes as percentages over the preview. */
+function imageSize(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => reject(new Error('Failed to decode image.'));
+        img.src = src;
+    });
+}
+
+const ocrWordKey = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\d]/gu, '');
+
+/** The candidate a Tesseract word belongs to, as `{ field, index }`, or null. */
+function ocrCandidateOfWord(word, candidates) {
+    const key = ocrWordKey(word.text);
+    if (!key) return null;
+    for (const field of Object.keys(OCR_FIELDS)) {
+        const index = (candidates[field] || []).findIndex(c => {
+            const token = ocrWordKey(c.token);
+            // Merchant names span several words; amounts and dates are single words
+            return field === 'merchant' ? key.length >= 3 && token.includes(key) : token === key;
+        });
+        if (index >= 0) return { field, index };
+    }
+    return null;
+}
+
+function ocrCandidateLabel(field, candidate) {
+    if (field === 'total') {
+        const currency = $('#currency').value;
+        return formatMoney(toCents(candidate.value, currency), currency);
+    }
+    return field === 'date' ? utcDateToLocal(candidate.value) : candidate.value;
+}
+
+function renderOcrReview() {
+    const panel = $('#ocrReview');
+    panel.hidden = !ocrReview;
+    if (!ocrReview) {
+        $('#ocrReviewImage').innerHTML = '';
+        $('#ocrReviewCandidates').innerHTML = '';
+        return;
+    }
+    const { words, width, height, imageUrl, parsed, chosen } = ocrReview;
+    const pct = (v, of) => `${(v / of * 100).toFixed(2)}%`;
+    const boxes = words.filter(w => w.bbox && ocrWordKey(w.text)).map(w => {
+        const hit = ocrCandidateOfWord(w, parsed.candidates);
+        const { x0, y0, x1, y1 } = w.bbox;
+        const cls = hit ? ` candidate${chosen[hit.field] === hit.index ? ' chosen' : ''}` : '';
+        const data = hit ? ` data-field="${hit.field}" data-index="${hit.index}"` : '';
+        return `<span class="ocr-box${cls}"${data} style="left:${pct(x0, width)};top:${pct(y0, height)};width:${pct(x1 - x0, width)};height:${pct(y1 - y0, height)};" title="${escapeHtml(w.text)}"></span>`;
+    }).join('');
+    $('#ocrReviewImage').innerHTML = `<img src="${imageUrl}" alt="Scanned receipt" />${boxes}`;
+    $('#ocrReviewCandidates').innerHTML = Object.entries(OCR_FIELDS).map(([field, label]) => {
+        const list = parsed.candidates[field] || [];
+        const buttons = list.length
+            ? list.map((c, i) => `<button type="button" class="ocr-candidate${chosen[field] === i ? ' chosen' : ''}" data-field="${field}" data-index="${i}">${escapeHtml(ocrCandidateLabel(field, c))}</button>`).join('')
+            : '<span class="muted">none found</span>';
+        return `<div class="ocr-candidate-group"><span class="ocr-candidate-label">${label}</span>${buttons}</div>`;
+    }).join('');
+}
+
+/** Fill the form field for a tapped candidate and mark it as the chosen one. */
+function applyOcrCandidate(field, index) {
+    const candidate = ocrReview?.parsed.candidates[field]?.[index];
+    if (!candidate) return;
+    if (field === 'total') $('#amount').value = candidate.value.toFixed(minorUnits($('#currency').value));
+    if (field === 'date') {
+        $('#date').value = candidate.value;
+        // A detected currency beats the leg's default
+        loadSettings().then(settings => syncLegFromDate(settings, !ocrReview?.parsed.currency));
+    }
+    if (field === 'merchant') $('#description').value = candidate.value;
+    ocrReview.chosen[field] = index;
+    renderOcrReview();
+}
+
+function clearOcrReview() {
+    if (ocrReview) URL.revokeObjectURL(ocrReview.imageUrl);
+    ocrReview = null;
+    renderOcrReview();
+}
+
+/** The Add form's date as UTC, or null while it is empty. */
+const formDate = () => localDateToUTC($('#date').value || null);
+
+/** Show which leg the Add form's date falls in and, if `setCurrency`, switch to that leg's currency. */
+function syncLegFromDate(settings, setCurrency = true) {
+    const leg = legForDate(settings, formDate());
+    const hint = document.getElementById('legHint');
+    hint.hidden = !leg;
+    hint.textContent = leg ? `🗺️ ${leg.name} · ${leg.currency}` : '';
+    const currencyEl = document.getElementById('currency');
+    if (setCurrency && leg && [...currencyEl.options].some(o => o.value === leg.currency)) {
+        currencyEl.value = leg.currency;
+        syncAmountSteps(settings.homeCurrency);
+    }
+}
+
+/** OCR `entry` (a pending image) and fill the form from the best candidates. */
+async function scanReceipt(entry) {
+    ocrSource = entry;
+    // The photo may be removed, or another one scanned, while this scan runs
+    const isCurrent = () => ocrSource === entry && pendingAttachments.includes(entry);
+    clearOcrReview();
+    try {
+        setOcrStatus('scanning', 'Scanning receipt…');
+        const settings = await loadSettings();
+        if (!isCurrent()) return;
+        const langs = ocrLangsFor(settings, formDate());
+        const scan = await runOcr(entry.file, langs, (stage, pct) => {
+            setOcrStatus('scanning', stage === 'recognizing' ? `Recognizing text… ${pct}%` : `Loading OCR model… ${pct}%`);
+        });
+        // Cancelled, or the photo was removed: leave the form alone
+        if (!scan || !isCurrent()) return;
+        const { text: ocrText, words } = scan;
+        const parsed = parseReceipt(ocrText, { tripCurrencies: settings.tripCurrencies, homeCurrency: settings.homeCurrency });
+
+        let filled = [];
+        const currencyEl = document.getElementById('currency');
+        if (parsed.currency && [...currencyEl.options].some(o => o.value === parsed.currency)) {
+            currencyEl.value = parsed.currency;
+            syncAmountSteps(settings.homeCurrency);
+            filled.push('currency');
+        }
+        if (parsed.date) {
+            // OCR dates are local (from the receipt), show as-is in the local date input
+            document.getElementById('date').value = parsed.date;
+            syncLegFromDate(settings, !filled.includes('currency'));
+            filled.push('date');
+        }
+        if (parsed.total) {
+            document.getElementById('amount').value = parsed.total.toFixed(minorUnits(currencyEl.value));
+            filled.push('amount');
+        }
+        const descriptionEl = document.getElementById('description');
+        if (parsed.merchant && !descriptionEl.value.trim()) {
+            descriptionEl.value = parsed.merchant;
+            filled.push('merchant');
+        }
+
+        if (ocrText.trim()) {
+            // Word boxes are in the original file's pixels, so the review shows that file
+            const url = URL.createObjectURL(entry.file);
+            const size = await imageSize(url).catch(() => null);
+            if (size && isCurrent()) {
+                ocrReview = {
+                    text: ocrText, words, imageUrl: url, parsed, ...size,
+                    chosen: { total: parsed.total ? 0 : null, date: parsed.date ? 0 : null, merchant: filled.includes('merchant') ? 0 : null }
+                };
+                renderOcrReview();
+            } else {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        if (filled.length) {
+            const foreign = parsed.currency && !filled.includes('currency') ? ` (receipt is in ${parsed.currency}, not a trip currency)` : '';
+            setOcrStatus('done', `✓ Auto-filled ${filled.join(', ')} — please verify${foreign}`);
+            showToast(`OCR filled ${filled.join(', ')}`, 'success', 3000);
+        } else {
+            setOcrStatus('error', 'No date or amount detected — tap a value below or fill in manually');
+        }
+    } catch {
+        if (isCurrent()) setOcrStatus('error', 'OCR failed — fill in manually');
+    }
 }
 
 // ---------- Event handlers ----------
@@ -1001,75 +3886,116 @@ document.addEventListener('DOMContentLoaded', async () => {
     await ensureDefaults();
 
     document.getElementById('date').value = todayLocal();
+    document.getElementById('date').addEventListener('change', async () => {
+        const settings = await loadSettings();
+        syncLegFromDate(settings);
+        refreshOcrLanguages(ocrLangsFor(settings, formDate()));
+    });
 
-    // --- Photo preview + OCR on the Add Expense form ---
+    // --- Attachments + OCR on the Add Expense form ---
     document.getElementById('expensePhoto').addEventListener('change', async (e) => {
-        const preview = document.getElementById('photoPreview');
-        const file = e.target.files && e.target.files[0];
-        if (!file) { preview.innerHTML = ''; setOcrStatus('hidden'); return; }
-        try {
-            const dataUrl = await readAndResizePhoto(file);
-            preview.innerHTML = `<img src="${dataUrl}" alt="Preview" title="Click to enlarge" /><button type="button" class="remove-photo" title="Remove photo">✕</button>`;
-            preview.querySelector('img').addEventListener('click', () => openLightbox(dataUrl));
-            preview.querySelector('.remove-photo').addEventListener('click', () => {
-                document.getElementById('expensePhoto').value = '';
-                preview.innerHTML = '';
-                setOcrStatus('hidden');
-            });
-        } catch {
-            preview.innerHTML = '<span class="muted">Preview failed</span>';
+        const files = Array.from(e.target.files || []);
+        // Reset so picking more files (or the same one again) fires another change
+        e.target.value = '';
+        if (!files.length) return;
+        const added = [];
+        for (const file of files) {
+            const entry = { file, caption: '', name: file.name, record: null, previewUrl: null };
+            try {
+                entry.record = await fileToAttachment(file);
+                if (entry.record.thumb) entry.previewUrl = URL.createObjectURL(entry.record.thumb);
+            } catch { /* shown as failed in the preview */ }
+            added.push(entry);
         }
+        pendingAttachments.push(...added);
+        renderPendingAttachments();
 
-        // Run OCR in background
-        if (typeof Tesseract !== 'undefined') {
-            try {
-                setOcrStatus('scanning', 'Scanning receipt…');
-                const settings = await loadSettings();
-                const langs = getOcrLangs(settings.tripCurrencies, settings.homeCurrency);
-                const ocrText = await runOcr(file, langs);
-                const parsed = parseReceipt(ocrText);
-
-                let filled = [];
-                if (parsed.date) {
-                    // OCR dates are local (from the receipt), show as-is in the local date input
-                    document.getElementById('date').value = parsed.date;
-                    filled.push('date');
-                }
-                if (parsed.total) {
-                    document.getElementById('amount').value = parsed.total.toFixed(2);
-                    filled.push('amount');
-                }
+        // Scan the first new image, unless another one is already being (or was) scanned
+        const target = added.find(a => a.record?.kind === 'image');
+        if (target && typeof Tesseract !== 'undefined' && !pendingAttachments.includes(ocrSource)) await scanReceipt(target);
+    });
 
-                if (filled.length) {
-                    setOcrStatus('done', `✓ Auto-filled ${filled.join(' & ')} — please verify`);
-                    showToast(`OCR filled ${filled.join(' & ')}`, 'success', 3000);
-                } else {
-                    setOcrStatus('error', 'No date or amount detected — fill in manually');
-                }
-            } catch {
-                setOcrStatus('error', 'OCR failed — fill in manually');
+    document.getElementById('photoPreview').addEventListener('input', (e) => {
+        if (!e.target.classList.contains('attachment-caption')) return;
+        const entry = pendingAttachments[Number(e.target.closest('[data-index]').dataset.index)];
+        if (entry) entry.caption = e.target.value;
+    });
+    document.getElementById('photoPreview').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        const index = Number(item.dataset.index);
+        if (e.target.classList.contains('remove-photo')) {
+            const [entry] = pendingAttachments.splice(index, 1);
+            releasePendingAttachment(entry);
+            if (entry === ocrSource) {
+                ocrSource = null;
+                cancelOcr();
+                clearOcrReview();
+                setOcrStatus('hidden');
             }
+            renderPendingAttachments();
+        } else if (e.target.closest('.attachment-thumb')) {
+            const viewable = pendingAttachments.filter(a => a.record);
+            openLightbox(viewable.map(a => ({ ...a.record, caption: a.caption })), viewable.indexOf(pendingAttachments[index]));
         }
     });
 
+    document.getElementById('cancelOcrBtn').addEventListener('click', async () => {
+        await cancelOcr();
+        setOcrStatus('error', 'Scan cancelled — fill in manually');
+    });
+
+    // --- OCR review: tapping a candidate or its highlighted box fills the field ---
+    document.getElementById('ocrReview').addEventListener('click', (e) => {
+        const el = e.target.closest('[data-field]');
+        if (el) applyOcrCandidate(el.dataset.field, Number(el.dataset.index));
+    });
+
     // --- Lightbox ---
-    document.getElementById('expensesTbody').addEventListener('click', (e) => {
+    document.getElementById('expensesTbody').addEventListener('click', async (e) => {
         if (e.target.classList.contains('expense-thumb')) {
-            openLightbox(e.target.src);
+            openLightbox(await listAttachments(e.target.dataset.photoId));
         }
     });
     document.getElementById('lightboxClose').addEventListener('click', closeLightbox);
+    document.getElementById('lightboxPrev').addEventListener('click', () => stepLightbox(-1));
+    document.getElementById('lightboxNext').addEventListener('click', () => stepLightbox(1));
+    document.addEventListener('keydown', (e) => {
+        if (document.getElementById('photoLightbox').hidden) return;
+        if (e.key === 'Escape') closeLightbox();
+        if (e.key === 'ArrowLeft') stepLightbox(-1);
+        if (e.key === 'ArrowRight') stepLightbox(1);
+    });
     document.getElementById('photoLightbox').addEventListener('click', (e) => {
         if (e.target === e.currentTarget) closeLightbox();
     });
 
+    // --- Expense history ---
+    const closeHistory = () => { document.getElementById('historyView').hidden = true; };
+    document.getElementById('historyClose').addEventListener('click', closeHistory);
+    document.getElementById('historyView').addEventListener('click', async (e) => {
+        if (e.target === e.currentTarget) { closeHistory(); return; }
+        if (!e.target.classList.contains('restoreVersionBtn')) return;
+        const expenseId = e.currentTarget.dataset.expenseId;
+        if (!confirm('Restore the expense to how it was before this change? Its current version stays in the history.')) return;
+        try {
+            const { changeId, cashOverspent } = await restoreExpenseVersion(e.target.closest('li[data-change-id]').dataset.changeId, expenseId);
+            showUndoToast(changeId, cashOverspent ? 'Earlier version restored — more cash spent than you bought' : 'Earlier version restored ✓');
+            await render();
+            await openExpenseHistory(expenseId);
+        } catch (err) { alert(err.message); }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !document.getElementById('historyView').hidden) closeHistory();
+    });
+
     // --- Trip management events ---
     $('#tripSelector').addEventListener('change', async () => {
         activeTripId = $('#tripSelector').value;
         localStorage.setItem('activeTrip', activeTripId);
         const settings = await loadSettings();
         const tripCurrencies = settings.tripCurrencies.length ? settings.tripCurrencies : [settings.homeCurrency];
-        document.getElementById('currency').value = tripCurrencies[0];
+        document.getElementById('currency').value = defaultCurrencyFor(settings, formDate());
         document.getElementById('cashCurrency').value = tripCurrencies[0];
         document.getElementById('summaryCurrency').value = settings.homeCurrency;
         await render();
@@ -1083,7 +4009,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             activeTripId = trip.id;
             localStorage.setItem('activeTrip', activeTripId);
             const settings = await loadSettings();
-            document.getElementById('currency').value = settings.tripCurrencies[0];
+            document.getElementById('currency').value = defaultCurrencyFor(settings, formDate());
             document.getElementById('cashCurrency').value = settings.tripCurrencies[0];
             document.getElementById('summaryCurrency').value = settings.homeCurrency;
             await render();
@@ -1102,13 +4028,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         const trips = await listTrips();
         if (trips.length <= 1) { alert('You must have at least one trip.'); return; }
         const current = trips.find(t => t.id === activeTripId);
-        if (!confirm(`Delete trip "${current?.name}" and ALL its expenses, categories, and cash batches? This cannot be undone.`)) return;
-        await deleteTrip(activeTripId);
+        if (!confirm(`Move trip "${current?.name}" and ALL its expenses, categories, and cash batches to the trash? It can be restored from Settings for ${getTrashRetentionDays()} days.`)) return;
+        try {
+            await deleteTrip(activeTripId);
+        } catch (err) { alert(err.message); return; }
         const remaining = await listTrips();
         activeTripId = remaining[0].id;
         localStorage.setItem('activeTrip', activeTripId);
         const settings = await loadSettings();
-        document.getElementById('currency').value = settings.tripCurrencies[0];
+        document.getElementById('currency').value = defaultCurrencyFor(settings, formDate());
         document.getElementById('cashCurrency').value = settings.tripCurrencies[0];
         document.getElementById('summaryCurrency').value = settings.homeCurrency;
         await render();
@@ -1121,26 +4049,133 @@ document.addEventListener('DOMContentLoaded', async () => {
         const tripCurrencies = Array.from(new Set(
             rawTrips.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
         ));
-        await put('settings', {
-            id: settingsKey(),
-            homeCurrency: document.getElementById('homeCurrency').value.trim().toUpperCase(),
+        const startDate = localDateToUTC(document.getElementById('tripStart').value);
+        const endDate = localDateToUTC(document.getElementById('tripEnd').value);
+        if (startDate && endDate && endDate < startDate) { alert('Trip end must be on or after the trip start.'); return; }
+        const budgetRaw = document.getElementById('tripBudget').value;
+        const homeCurrency = document.getElementById('homeCurrency').value.trim().toUpperCase();
+        const current = await loadSettings();
+        const formValues = {
             tripCurrencies,
-            ccFeePercent: Number(document.getElementById('ccFee').value)
-        });
+            cashMethod: document.getElementById('cashMethod').value,
+            startDate,
+            endDate
+        };
+        // A budget typed alongside a new home currency is taken to be in the new currency
+        const budgetEdited = budgetRaw !== (current.budgetCents == null ? '' : fromCents(current.budgetCents, current.homeCurrency));
+        if (budgetEdited || homeCurrency === current.homeCurrency) formValues.budgetCents = budgetRaw === '' ? null : toCents(budgetRaw, homeCurrency);
+
+        if (homeCurrency !== current.homeCurrency && await tripHasHomeAmounts(current)) {
+            await startRebase(homeCurrency, formValues);
+            return;
+        }
+        await saveSettings({ ...current, ...formValues, homeCurrency });
         showToast('Settings saved ✓');
         await render();
     });
 
+    document.getElementById('applyRebaseBtn').addEventListener('click', async (e) => {
+        if (!pendingRebase) return;
+        e.target.disabled = true;
+        try {
+            const { plan, formValues } = pendingRebase;
+            plan.settings = { ...plan.settings, ...formValues };
+            await applyRebase(plan);
+            closeRebasePanel();
+            showToast(plan.pendingCount ? `Home currency changed — ${plan.pendingCount} expense(s) pending a rate` : `Home currency changed to ${plan.newHome} ✓`, plan.pendingCount ? 'error' : 'success', 4000);
+            await render();
+        } catch (err) {
+            alert(err.message);
+            e.target.disabled = false;
+        }
+    });
+    document.getElementById('cancelRebaseBtn').addEventListener('click', async () => {
+        closeRebasePanel();
+        await render();
+    });
+
+    // FX provider chain: reorder rows in place, persist on save
+    document.getElementById('fxProvidersTbody').addEventListener('click', (e) => {
+        const tr = e.target.closest('tr[data-provider]');
+        if (!tr) return;
+        if (e.target.classList.contains('fxUpBtn') && tr.previousElementSibling) tr.parentNode.insertBefore(tr, tr.previousElementSibling);
+        if (e.target.classList.contains('fxDownBtn') && tr.nextElementSibling) tr.parentNode.insertBefore(tr.nextElementSibling, tr);
+    });
+
+    document.getElementById('fxProvidersForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const fxProviders = Array.from(document.querySelectorAll('#fxProvidersTbody tr[data-provider]')).map(tr => ({
+            id: tr.dataset.provider,
+            enabled: tr.querySelector('.fx-provider-enabled').checked,
+            timeoutMs: Math.max(1, Number(tr.querySelector('.fx-provider-timeout').value) || DEFAULT_FX_TIMEOUT_MS / 1000) * 1000
+        }));
+        if (!fxProviders.some(p => p.enabled)) { alert('Enable at least one rate provider.'); return; }
+        const manualRates = {};
+        document.querySelectorAll('#manualRatesHost .manual-rate').forEach(input => {
+            if (Number(input.value) > 0) manualRates[input.dataset.currency] = rateToPpm(input.value);
+        });
+        const current = await loadSettings();
+        await saveSettings({
+            ...current,
+            fxProviders,
+            customFx: {
+                urlTemplate: document.getElementById('customFxUrl').value.trim(),
+                ratePath: document.getElementById('customFxPath').value.trim() || 'rates.{to}'
+            },
+            manualRates
+        });
+        showToast('Rate providers saved ✓');
+        await render();
+    });
+
+    // Card statement reconciliation
+    document.getElementById('statementFile').addEventListener('change', async (e) => {
+        const file = e.target.files && e.target.files[0];
+        document.getElementById('statementFileName').textContent = file?.name || '';
+        document.getElementById('statementResults').hidden = true;
+        statementState = null;
+        if (!file) return;
+        try {
+            const rows = parseCsv(await file.text());
+            if (rows.length < 2) throw new Error('The statement has no transaction rows.');
+            statementState = { rows };
+            const saved = (await loadSettings()).statementMapping || {};
+            populateStatementColumns(rows[0].map(h => h.trim()), saved);
+            if (saved.dateFormat) $('#stmtDateFormat').value = saved.dateFormat;
+            if (saved.chargeSign) $('#stmtChargeSign').value = saved.chargeSign;
+            if (saved.decimalSeparator) $('#stmtDecimal').value = saved.decimalSeparator;
+            if (saved.windowDays != null) $('#stmtDays').value = saved.windowDays;
+            if (saved.tolerancePct != null) $('#stmtTolerance').value = saved.tolerancePct;
+        } catch (err) {
+            alert('Could not read statement: ' + (err.message || err));
+        }
+    });
+
+    document.getElementById('statementForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try { await runStatementMatch(); } catch (err) { alert(err.message || err); }
+    });
+
+    document.getElementById('applyStatementBtn').addEventListener('click', async () => {
+        try {
+            const { count, changeId } = await applyStatementMatches();
+            if (!count) { alert('Nothing selected to apply.'); return; }
+            showUndoToast(changeId, `Reconciled ${count} expense(s) ✓`);
+            await render();
+            await runStatementMatch();
+        } catch (err) { alert('Apply failed: ' + (err.message || err)); }
+    });
+
     // Category add
     document.getElementById('addCategory').addEventListener('click', async () => {
         const nameInput = document.getElementById('newCategoryName');
         const name = (nameInput.value || '').trim();
         if (!name) { alert('Enter a category name.'); return; }
-        const cats = await listCategories();
-        if (cats.some(c => c.name.toLowerCase() === name.toLowerCase())) { alert('A category with that name already exists.'); return; }
-        await put('categories', { id: crypto.randomUUID(), name, tripId: getActiveTripId() });
-        nameInput.value = '';
-        await render();
+        try {
+            showUndoToast(await addCategory(name), 'Category added');
+            nameInput.value = '';
+            await render();
+        } catch (err) { alert(err.message); }
     });
 
     // Category management actions (event delegation)
@@ -1154,13 +4189,32 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (e.target.classList.contains('renameBtn')) {
             const newName = prompt('New category name:', cat.name);
             if (!newName) return;
-            try { await renameCategory(id, newName); await render(); } catch (err) { alert(err.message); }
+            try {
+                showUndoToast(await renameCategory(id, newName), 'Category renamed');
+                await render();
+            } catch (err) { alert(err.message); }
+        }
+        if (e.target.classList.contains('budgetBtn')) {
+            const settings = await loadSettings();
+            const current = settings.categoryBudgets[id];
+            const value = prompt(`Budget for "${cat.name}" in ${settings.homeCurrency} (leave empty to remove):`, current == null ? '' : fromCents(current, settings.homeCurrency));
+            if (value === null) return;
+            try { await setCategoryBudget(id, value.trim() || null); await render(); } catch (err) { alert(err.message); }
         }
         if (e.target.classList.contains('deleteBtn')) {
             const usage = await countExpensesByCategoryAll();
             const count = usage.get(id) || 0;
             if (count === 0) {
-                if (confirm(`Delete category "${cat.name}"?`)) { await del('categories', id); await render(); }
+                if (!confirm(`Delete category "${cat.name}"?`)) return;
+                try {
+                    const changeId = await withChangeLog(`Deleted category "${cat.name}"`, async (log) => {
+                        await delLogged(log, 'categories', id);
+                        await setCategoryBudget(id, null, log);
+                        return changeIdOf(log);
+                    });
+                    showUndoToast(changeId, 'Category deleted');
+                    await render();
+                } catch (err) { alert(err.message); }
             } else {
                 const otherCats = cats.filter(c => c.id !== id);
                 if (!otherCats.length) { alert('Create another category first, then reassign.'); return; }
@@ -1170,13 +4224,270 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const target = otherCats.find(c => c.name.toLowerCase() === targetName.trim().toLowerCase());
                 if (!target) { alert('No matching category found. Type the exact target name.'); return; }
                 if (!confirm(`Reassign ${count} expense(s) from "${cat.name}" to "${target.name}" and delete "${cat.name}"?`)) return;
-                await reassignCategory(id, target.id);
-                await del('categories', id);
-                await render();
+                try {
+                    const changeId = await withChangeLog(`Deleted category "${cat.name}" and moved its expenses to "${target.name}"`, async (log) => {
+                        await reassignCategory(id, target.id, log);
+                        await delLogged(log, 'categories', id);
+                        await setCategoryBudget(id, null, log);
+                        return changeIdOf(log);
+                    });
+                    showUndoToast(changeId, `${count} expense(s) moved to "${target.name}"`);
+                    await render();
+                } catch (err) { alert(err.message); }
             }
         }
     });
 
+    // Traveler add
+    document.getElementById('addParticipant').addEventListener('click', async () => {
+        const nameInput = document.getElementById('newParticipantName');
+        try {
+            await addParticipant(nameInput.value || '');
+            nameInput.value = '';
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    // Traveler management actions (event delegation)
+    document.getElementById('participantsTbody').addEventListener('click', async (e) => {
+        const tr = e.target.closest('tr[data-id]');
+        if (!tr) return;
+        const id = tr.getAttribute('data-id');
+        const settings = await loadSettings();
+        const participant = settings.participants.find(p => p.id === id);
+        if (!participant) return;
+        if (e.target.classList.contains('renameParticipantBtn')) {
+            const newName = prompt('New traveler name:', participant.name);
+            if (!newName) return;
+            try { await renameParticipant(id, newName); await render(); } catch (err) { alert(err.message); }
+        }
+        if (e.target.classList.contains('removeParticipantBtn')) {
+            if (!confirm(`Remove traveler "${participant.name}"?`)) return;
+            const ok = await removeParticipantIfUnused(id);
+            if (!ok) { alert(`Cannot remove "${participant.name}" — they are referenced by expenses (including any in the trash) or settlement payments. Edit those first.`); return; }
+            await render();
+        }
+    });
+
+    // Payment instrument add
+    document.getElementById('instrumentForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await addInstrument({
+                name: document.getElementById('instrumentName').value,
+                type: document.getElementById('instrumentType').value,
+                feePercent: document.getElementById('instrumentFeePercent').value,
+                fixedFee: document.getElementById('instrumentFixedFee').value
+            });
+            e.target.reset();
+            showToast('Payment instrument added ✓');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    // Payment instrument actions (event delegation)
+    document.getElementById('instrumentsTbody').addEventListener('click', async (e) => {
+        const tr = e.target.closest('tr[data-id]');
+        if (!tr) return;
+        const id = tr.getAttribute('data-id');
+        const settings = await loadSettings();
+        const instrument = settings.instruments.find(i => i.id === id);
+        if (!instrument) return;
+        if (e.target.classList.contains('editInstrumentBtn')) {
+            const originalHtml = tr.innerHTML;
+            tr.innerHTML = `<td><input class="edit-inst-name" value="${escapeHtml(instrument.name)}" aria-label="Name" /></td>
+                <td><select class="edit-inst-type">${instrumentTypeOptionsHtml(instrument.type)}</select></td>
+                <td><input class="edit-inst-fee" type="number" step="0.01" min="0" value="${instrument.feePercent}" style="width:5rem;" aria-label="Fee percent" />%
+                    + <input class="edit-inst-fixed" type="number" step="${amountStep(settings.homeCurrency)}" min="0" value="${fromCents(instrument.fixedFeeCents, settings.homeCurrency)}" style="width:5rem;" aria-label="Fixed fee" /></td>
+                <td></td>
+                <td class="actions"><button class="saveInstrumentBtn" type="button">Save</button> <button class="cancelInstrumentBtn" type="button">Cancel</button></td>`;
+            tr.querySelector('.cancelInstrumentBtn').addEventListener('click', () => { tr.innerHTML = originalHtml; });
+            tr.querySelector('.saveInstrumentBtn').addEventListener('click', async (ev) => {
+                ev.target.disabled = true;
+                try {
+                    const changeId = await updateInstrument(id, {
+                        name: tr.querySelector('.edit-inst-name').value,
+                        type: tr.querySelector('.edit-inst-type').value,
+                        feePercent: tr.querySelector('.edit-inst-fee').value,
+                        fixedFee: tr.querySelector('.edit-inst-fixed').value
+                    });
+                    showUndoToast(changeId, 'Payment instrument saved ✓');
+                    await render();
+                } catch (err) {
+                    alert(err.message);
+                    ev.target.disabled = false;
+                }
+            });
+        }
+        if (e.target.classList.contains('removeInstrumentBtn')) {
+            if (!confirm(`Remove payment instrument "${instrument.name}"?`)) return;
+            try {
+                const ok = await removeInstrumentIfUnused(id);
+                if (!ok) { alert(`Cannot remove "${instrument.name}" — it is used by expenses (including any in the trash). Change those expenses first.`); return; }
+                await render();
+            } catch (err) { alert(err.message); }
+        }
+    });
+
+    // Trip legs
+    document.getElementById('legForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await saveLeg(null, {
+                name: document.getElementById('legName').value,
+                startDate: localDateToUTC(document.getElementById('legStart').value),
+                endDate: localDateToUTC(document.getElementById('legEnd').value),
+                currency: document.getElementById('legCurrency').value,
+                ocrLangs: document.getElementById('legOcrLangs').value
+            });
+            e.target.reset();
+            showToast('Leg added ✓');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    document.getElementById('legsTbody').addEventListener('click', async (e) => {
+        const tr = e.target.closest('tr[data-id]');
+        if (!tr) return;
+        const id = tr.getAttribute('data-id');
+        const settings = await loadSettings();
+        const leg = settings.legs.find(l => l.id === id);
+        if (!leg) return;
+        if (e.target.classList.contains('editLegBtn')) {
+            const originalHtml = tr.innerHTML;
+            tr.innerHTML = `<td><input class="edit-leg-name" value="${escapeHtml(leg.name)}" aria-label="Name" /></td>
+                <td><input class="edit-leg-start" type="date" value="${utcDateToLocal(leg.startDate)}" aria-label="First day" />
+                    <input class="edit-leg-end" type="date" value="${utcDateToLocal(leg.endDate)}" aria-label="Last day" /></td>
+                <td><input class="edit-leg-currency" value="${leg.currency}" maxlength="3" style="width:4rem;" aria-label="Currency" /></td>
+                <td><input class="edit-leg-langs" value="${leg.ocrLangs.join(', ')}" style="width:7rem;" aria-label="OCR languages" /></td>
+                <td class="actions"><button class="saveLegBtn" type="button">Save</button> <button class="cancelLegBtn" type="button">Cancel</button></td>`;
+            tr.querySelector('.cancelLegBtn').addEventListener('click', () => { tr.innerHTML = originalHtml; });
+            tr.querySelector('.saveLegBtn').addEventListener('click', async (ev) => {
+                ev.target.disabled = true;
+                try {
+                    await saveLeg(id, {
+                        name: tr.querySelector('.edit-leg-name').value,
+                        startDate: localDateToUTC(tr.querySelector('.edit-leg-start').value),
+                        endDate: localDateToUTC(tr.querySelector('.edit-leg-end').value),
+                        currency: tr.querySelector('.edit-leg-currency').value,
+                        ocrLangs: tr.querySelector('.edit-leg-langs').value
+                    });
+                    showToast('Leg saved ✓');
+                    await render();
+                } catch (err) {
+                    alert(err.message);
+                    ev.target.disabled = false;
+                }
+            });
+        }
+        if (e.target.classList.contains('removeLegBtn')) {
+            if (!confirm(`Remove leg "${leg.name}"? Its expenses are kept.`)) return;
+            await removeLeg(id);
+            await render();
+        }
+    });
+
+    // Trash
+    document.getElementById('trashRetentionForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            setTrashRetentionDays(document.getElementById('trashRetention').value);
+            const purged = await purgeExpiredTrash();
+            await pruneChangeLog();
+            showToast(purged ? `Retention saved ✓ ${purged} old item(s) purged` : 'Retention saved ✓');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    document.getElementById('trashTbody').addEventListener('click', async (e) => {
+        const tr = e.target.closest('tr[data-id]');
+        if (!tr) return;
+        const id = tr.getAttribute('data-id');
+        if (e.target.classList.contains('restoreTrashBtn')) {
+            try {
+                const item = await get('trash', id);
+                const { changeId, cashOverspent } = await restoreTrashItem(id);
+                if (item?.kind === 'trip') showToast(`Trip "${item.label}" restored ✓`);
+                else showUndoToast(changeId, cashOverspent ? 'Expense restored — more cash spent than you bought' : 'Expense restored ✓');
+                await render();
+            } catch (err) { alert(err.message); }
+        }
+        if (e.target.classList.contains('purgeTrashBtn')) {
+            if (!confirm('Delete this item permanently? This cannot be undone.')) return;
+            try {
+                await purgeTrashItem(id);
+                await render();
+            } catch (err) { alert(err.message); }
+        }
+    });
+
+    document.getElementById('emptyTrashBtn').addEventListener('click', async () => {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+        try {
+            await emptyTrash();
+            showToast('Trash emptied');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    // Breakdown editor rows (Add form and inline editor)
+    document.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('removeLineItemBtn')) {
+            e.target.closest('.line-item-row').remove();
+            return;
+        }
+        if (!e.target.classList.contains('addLineItemBtn')) return;
+        const editor = e.target.closest('.breakdown-editor');
+        const row = editor.closest('tr');
+        const currency = row ? row.querySelector('.edit-currency').value : $('#currency').value;
+        const categoryId = row ? row.querySelector('.edit-category').value : $('#category').value;
+        editor.querySelector('.line-items').insertAdjacentHTML('beforeend', lineItemRowHtml(await listCategories(), { categoryId }, currency));
+    });
+
+    // Split mode switch: shows/hides the per-traveler value inputs via CSS
+    document.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('split-mode')) return;
+        e.target.closest('.split-editor').dataset.mode = e.target.value;
+    });
+
+    // Settlement payments
+    document.getElementById('settlementForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await addSettlement({
+                date: localDateToUTC(document.getElementById('settlementDate').value),
+                fromId: document.getElementById('settlementFrom').value,
+                toId: document.getElementById('settlementTo').value,
+                amount: document.getElementById('settlementAmount').value,
+                note: document.getElementById('settlementNote').value.trim()
+            });
+            document.getElementById('settlementAmount').value = '';
+            document.getElementById('settlementNote').value = '';
+            showToast('Payment recorded ✓');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    document.getElementById('settleUpList').addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('recordSettleBtn')) return;
+        const li = e.target.closest('li[data-from]');
+        const amountCents = Number(li.dataset.cents);
+        try {
+            const { homeCurrency } = await loadSettings();
+            await addSettlement({ date: todayUTC(), fromId: li.dataset.from, toId: li.dataset.to, amount: fromCents(amountCents, homeCurrency), note: 'Settle up' });
+            showToast('Payment recorded ✓');
+            await render();
+        } catch (err) { alert(err.message); }
+    });
+
+    document.getElementById('settlementsList').addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('deleteSettlementBtn')) return;
+        const li = e.target.closest('li[data-id]');
+        if (!confirm('Delete this settlement payment?')) return;
+        await deleteSettlement(li.getAttribute('data-id'));
+        await render();
+    });
+
     // Expense table actions (edit/delete) with in-place editor + photo support
     document.getElementById('expensesTbody').addEventListener('click', async (e) => {
         const tr = e.target.closest('tr[data-expense-id]');
@@ -1187,9 +4498,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (e.target.classList.contains('expense-thumb')) return;
 
         if (e.target.classList.contains('deleteExpenseBtn')) {
-            if (!confirm('Delete this expense?')) return;
-            await deleteExpense(id);
-            await render();
+            const linked = (await indexGetAllKey('expenses', 'byTrip', getActiveTripId())).filter(x => x.refundOf === id).length;
+            const question = linked
+                ? `Move this expense to the trash? ${linked} linked refund(s) will be kept but unlinked until it is restored.`
+                : 'Move this expense to the trash?';
+            if (!confirm(question)) return;
+            try {
+                showUndoToast(await deleteExpense(id), 'Expense moved to the trash');
+                await render();
+            } catch (err) { alert(err.message); }
+            return;
+        }
+
+        if (e.target.classList.contains('historyExpenseBtn')) {
+            await openExpenseHistory(id);
             return;
         }
 
@@ -1200,33 +4522,44 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const cats = await listCategories();
                 const settings = await loadSettings();
                 const allCurrencies = Array.from(new Set([settings.homeCurrency, ...(settings.tripCurrencies || [])]));
-                const existingPhoto = await getPhoto(id);
+                const existingAttachments = await listAttachments(id);
                 const originalHtml = tr.innerHTML;
 
                 const categoryOptions = createSelectHtml(cats, exp.categoryId, 'id');
                 const currencyOptions = createSelectHtml(allCurrencies, exp.currency);
-                const methodOptionsHtml = `<option value="credit"${exp.method === 'credit' ? ' selected' : ''}>Credit</option><option value="cash"${exp.method === 'cash' ? ' selected' : ''}>Cash</option>`;
-
-                const photoEditHtml = existingPhoto
-                    ? `<img class="expense-thumb" src="${existingPhoto.dataUrl}" alt="Current" style="pointer-events:none;" />
-                       <label class="muted" style="cursor:pointer;">Replace: <input class="edit-photo" type="file" accept="image/*" style="width:7rem;" /></label>
-                       <label style="font-size:.78rem;"><input class="edit-remove-photo" type="checkbox" /> Remove</label>`
-                    : `<input class="edit-photo" type="file" accept="image/*" style="width:7rem;" />`;
+                const instrumentOptions = instrumentOptionsHtml(settings.instruments, instrumentOf(settings, exp)?.id);
+                const participants = settings.participants;
+                const splitEditHtml = participants.length >= 2
+                    ? `<select class="edit-paid-by" aria-label="Paid by" style="margin-top:.35rem;"><option value="">— not split —</option>${createSelectHtml(participants, exp.paidBy || '', 'id')}</select>
+                       <details class="edit-split"><summary class="muted">Split</summary>${splitEditorHtml(participants, exp.split, exp.currency)}</details>`
+                    : '';
+
+                const photoEditHtml = existingAttachments.map(a => `<div class="attachment-item">
+                        ${attachmentThumbHtml(a, 'attachment-thumb')}
+                        <input class="edit-attachment-caption" data-id="${a.id}" type="text" placeholder="Caption" value="${escapeHtml(a.caption)}" style="width:7rem;" />
+                        <label style="font-size:.78rem;"><input class="edit-remove-attachment" data-id="${a.id}" type="checkbox" /> Remove</label>
+                    </div>`).join('') +
+                    `<label class="muted" style="cursor:pointer;">Add: <input class="edit-photo" type="file" accept="image/*,application/pdf" multiple style="width:7rem;" /></label>`;
 
                 // Show the stored UTC date as a local date in the editor
                 const localDate = utcDateToLocal(exp.date);
 
                 tr.innerHTML = `
-                    <td><input class="edit-date" type="date" value="${localDate}" /></td>
+                    <td><input class="edit-date" type="date" value="${localDate}" />
+                      <details class="edit-coverage"${exp.coverage ? ' open' : ''}><summary class="muted">Covers days</summary>
+                        <input class="edit-coverage-start" type="date" aria-label="First day covered" value="${exp.coverage ? utcDateToLocal(exp.coverage.start) : ''}" />
+                        <input class="edit-coverage-end" type="date" aria-label="Last day covered" value="${exp.coverage ? utcDateToLocal(exp.coverage.end) : ''}" />
+                      </details></td>
                     <td><select class="edit-category">${categoryOptions}</select></td>
-                    <td><select class="edit-method">${methodOptionsHtml}</select></td>
+                    <td><select class="edit-instrument">${instrumentOptions}</select>${splitEditHtml}</td>
                     <td>
                       <select class="edit-currency">${currencyOptions}</select>
-                      <input class="edit-amount" type="number" step="0.01" style="width:6.5rem; margin-left:.5rem;" value="${(exp.amountLocalCents / 100).toFixed(2)}" />
+                      <input class="edit-amount" type="number" step="${amountStep(exp.currency)}" style="width:6.5rem; margin-left:.5rem;" value="${fromCents(Math.abs(exp.amountLocalCents), exp.currency)}" />
                     </td>
                     <td class="edit-fx">${formatRate(exp.fxRatePpm)}</td>
-                    <td class="edit-base">${exp.baseAmountCents == null ? '<span class="muted">pending</span>' : (exp.baseAmountCents / 100).toFixed(2)}</td>
-                    <td><input class="edit-desc" type="text" value="${(exp.description || '').replace(/"/g, '&quot;')}" /></td>
+                    <td class="edit-base">${exp.baseAmountCents == null ? '<span class="muted">pending</span>' : formatMoney(exp.baseAmountCents, settings.homeCurrency)}</td>
+                    <td><input class="edit-desc" type="text" value="${(exp.description || '').replace(/"/g, '&quot;')}" />
+                      <details class="edit-breakdown"${exp.lineItems || exp.taxCents || exp.tipCents ? ' open' : ''}><summary class="muted">Items, tax &amp; tip</summary>${breakdownEditorHtml(cats, exp, exp.currency)}</details></td>
                     <td>${photoEditHtml}</td>
                     <td class="actions">
                       <button class="saveExpenseBtn" type="button">Save</button>
@@ -1234,38 +4567,55 @@ document.addEventListener('DOMContentLoaded', async () => {
                     </td>`;
 
                 tr.querySelector('.cancelExpenseBtn').addEventListener('click', () => { tr.innerHTML = originalHtml; });
+                tr.querySelector('.edit-currency').addEventListener('change', (ev) => { tr.querySelector('.edit-amount').step = amountStep(ev.target.value); });
                 tr.querySelector('.saveExpenseBtn').addEventListener('click', async (ev) => {
                     const btn = ev.target;
                     btn.disabled = true;
                     try {
                         const newDateLocal = tr.querySelector('.edit-date').value;
                         const newCategoryId = tr.querySelector('.edit-category').value;
-                        const newMethod = tr.querySelector('.edit-method').value;
+                        const newInstrumentId = tr.querySelector('.edit-instrument').value;
                         const newCurrency = tr.querySelector('.edit-currency').value;
                         const newAmount = tr.querySelector('.edit-amount').value;
                         const newDesc = tr.querySelector('.edit-desc').value || '';
-                        const photoInput = tr.querySelector('.edit-photo');
-                        const removeCheckbox = tr.querySelector('.edit-remove-photo');
-                        const photoFile = photoInput?.files?.[0] || null;
-                        const removePhoto = removeCheckbox?.checked || false;
-
-                        if (!newDateLocal || !newCurrency || !newMethod || isNaN(Number(newAmount))) {
-                            alert('Invalid input. Please check date, currency, method, and amount.');
+                        const attachments = Array.from(tr.querySelector('.edit-photo').files || [], file => ({ file, caption: '' }));
+                        const removeAttachmentIds = Array.from(tr.querySelectorAll('.edit-remove-attachment:checked'), el => el.dataset.id);
+                        const captions = Object.fromEntries(Array.from(tr.querySelectorAll('.edit-attachment-caption'), el => [el.dataset.id, el.value]));
+                        const paidByEl = tr.querySelector('.edit-paid-by');
+                        // No payer selected means the expense is not shared
+                        const paidBy = paidByEl ? (paidByEl.value || null) : undefined;
+                        const split = paidByEl ? (paidBy ? readSplitEditor(tr, newCurrency) : null) : undefined;
+                        const breakdown = readBreakdownEditor(tr, newCurrency);
+                        const coverage = {
+                            start: localDateToUTC(tr.querySelector('.edit-coverage-start').value || null),
+                            end: localDateToUTC(tr.querySelector('.edit-coverage-end').value || null)
+                        };
+
+                        if (!newDateLocal || !newCurrency || !newInstrumentId || isNaN(Number(newAmount))) {
+                            alert('Invalid input. Please check date, currency, payment instrument, and amount.');
                             btn.disabled = false;
                             return;
                         }
                         // Convert local date input to UTC for storage
                         const newDateUTC = localDateToUTC(newDateLocal);
-                        await updateExpense(id, {
+                        const { changeId, cashOverspent, failedAttachments } = await updateExpense(id, {
                             date: newDateUTC,
                             currency: newCurrency.trim().toUpperCase(),
-                            method: newMethod.trim().toLowerCase(),
+                            instrumentId: newInstrumentId,
                             categoryId: newCategoryId,
                             description: newDesc.trim(),
                             amountLocal: newAmount,
-                            photoFile,
-                            removePhoto
+                            attachments,
+                            removeAttachmentIds,
+                            captions,
+                            paidBy,
+                            split,
+                            breakdown,
+                            coverage
                         });
+                        if (failedAttachments.length) showToast(`${failedAttachments.join(', ')} could not be attached`, 'error', 5000);
+                        else if (cashOverspent) showToast(`More ${newCurrency} cash spent than you bought`, 'error', 4000);
+                        else showUndoToast(changeId, 'Expense saved ✓');
                         await render();
                     } catch (err) {
                         alert('Save failed: ' + (err.message || err));
@@ -1286,10 +4636,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         const rateStr = document.getElementById('cashRate').value;
         const purchased = document.getElementById('cashAmount').value;
         // Convert local date input to UTC for storage
-        await addCashBatch({ date: localDateToUTC(dateLocal), currency, rateStr, purchasedAmount: purchased });
-        e.target.reset();
-        document.getElementById('cashDate').value = todayLocal();
-        await render();
+        try {
+            const changeId = await addCashBatch({ date: localDateToUTC(dateLocal), currency, rateStr, purchasedAmount: purchased });
+            showUndoToast(changeId, 'Cash batch added');
+            e.target.reset();
+            document.getElementById('cashDate').value = todayLocal();
+            await render();
+        } catch (err) { alert(err.message); }
     });
 
     // Cash batch list actions (edit/delete)
@@ -1300,9 +4653,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         if (e.target.classList.contains('deleteCashBtn')) {
             if (!confirm('Delete this cash batch?')) return;
-            const ok = await deleteCashBatch(id);
-            if (!ok) { alert('Cannot delete this cash batch — one or more expenses reference it. Reassign or delete those expenses first.'); return; }
-            await render();
+            try {
+                const { deleted, changeId } = await deleteCashBatch(id);
+                if (!deleted) { alert('Cannot delete this cash batch — one or more expenses reference it, including any in the trash. Reassign those expenses or empty the trash first.'); return; }
+                showUndoToast(changeId, 'Cash batch deleted');
+                await render();
+            } catch (err) { alert(err.message); }
             return;
         }
         if (e.target.classList.contains('editCashBtn')) {
@@ -1321,7 +4677,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         <input class="edit-cash-date" type="date" value="${localDate}" style="width:9.5rem;" />
                         <select class="edit-cash-currency">${currencyOptions}</select>
                         <input class="edit-cash-rate" type="number" step="0.0001" value="${(batch.ratePpm / PPM).toFixed(6)}" style="width:9.5rem;" />
-                        <input class="edit-cash-amount" type="number" step="0.01" value="${(batch.purchasedAmountCents / 100).toFixed(2)}" style="width:6.5rem;" />
+                        <input class="edit-cash-amount" type="number" step="${amountStep(batch.currency)}" value="${fromCents(batch.purchasedAmountCents, batch.currency)}" style="width:6.5rem;" />
                         <span class="actions" style="margin-left:.5rem;">
                           <button class="saveCashBtn" type="button">Save</button>
                           <button class="cancelCashBtn" type="button">Cancel</button>
@@ -1343,11 +4699,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                             return;
                         }
                         // Convert local date input to UTC for storage
-                        batch.date = localDateToUTC(newDateLocal);
-                        batch.currency = newCurrency.trim().toUpperCase();
-                        batch.ratePpm = rateToPpm(newRate);
-                        batch.purchasedAmountCents = toCents(newAmount);
-                        await put('cashBatches', batch);
+                        const { changeId, overspent } = await updateCashBatch(id, { date: localDateToUTC(newDateLocal), currency: newCurrency, rateStr: newRate, purchasedAmount: newAmount });
+                        if (overspent.size) showToast(`${overspent.size} cash expense(s) now spend more ${newCurrency} than you bought`, 'error', 4000);
+                        else showUndoToast(changeId, 'Cash batch saved ✓');
                         await render();
                     } catch (err) {
                         alert('Save failed: ' + (err.message || err));
@@ -1366,36 +4720,146 @@ document.addEventListener('DOMContentLoaded', async () => {
         e.preventDefault();
         const dateLocal = document.getElementById('date').value;
         const currency = document.getElementById('currency').value.trim().toUpperCase();
-        const method = document.getElementById('method').value;
+        const instrumentId = document.getElementById('instrument').value;
         const categoryId = document.getElementById('category').value;
         const description = document.getElementById('description').value.trim();
         const amountLocal = document.getElementById('amount').value;
-        const photoInput = document.getElementById('expensePhoto');
-        const photoFile = photoInput.files && photoInput.files[0] ? photoInput.files[0] : null;
+        const attachments = pendingAttachments.map(a => ({ file: a.file, caption: a.caption, record: a.record }));
+        const shared = !document.getElementById('splitGroup').hidden;
+        const paidBy = shared ? document.getElementById('paidBy').value : null;
+        const split = shared ? readSplitEditor(document.getElementById('splitGroup'), currency) : null;
+        const breakdown = readBreakdownEditor(document.getElementById('breakdownGroup'), currency);
+        const kind = document.getElementById('expenseKind').value;
+        const refundOf = kind === 'refund' ? document.getElementById('refundOf').value || null : null;
+        const refundRate = document.getElementById('refundRate').value;
+        const coverage = {
+            start: localDateToUTC(document.getElementById('coverageStart').value || null),
+            end: localDateToUTC(document.getElementById('coverageEnd').value || null)
+        };
 
         try {
             // Convert local date input to UTC for storage
-            await addExpense({ date: localDateToUTC(dateLocal), currency, method, categoryId, description, amountLocal, photoFile });
+            const { changeId, cashOverspent, failedAttachments } = await addExpense({ date: localDateToUTC(dateLocal), currency, instrumentId, categoryId, description, amountLocal, attachments, paidBy, split, breakdown, kind, refundOf, refundRate, ocrText: ocrReview?.text || null, coverage });
             e.target.reset();
+            document.getElementById('refundOfGroup').hidden = true;
+            document.getElementById('refundRateGroup').hidden = true;
             document.getElementById('date').value = todayLocal();
             const settings = await loadSettings();
-            document.getElementById('currency').value = settings.tripCurrencies[0];
-            document.getElementById('photoPreview').innerHTML = '';
+            document.getElementById('currency').value = defaultCurrencyFor(settings, formDate());
+            syncLegFromDate(settings);
+            clearPendingAttachments();
             setOcrStatus('hidden');
-            showToast('Expense added ✓');
+            clearOcrReview();
+            await cancelOcr();
+            renderSplitFields(settings.participants, true);
+            renderBreakdownFields(await listCategories(), true);
+            document.getElementById('breakdownGroup').open = false;
+            document.getElementById('coverageGroup').open = false;
+            if (failedAttachments.length) showToast(`Expense added, but ${failedAttachments.join(', ')} could not be attached`, 'error', 5000);
+            else if (cashOverspent) showToast(`Expense added — more ${currency} cash spent than you bought`, 'error', 4000);
+            else showUndoToast(changeId, kind === 'refund' ? 'Refund added ✓' : 'Expense added ✓');
             await render();
         } catch (err) {
             alert(err.message);
         }
     });
 
+    // Refunds: show the link fields, and start from the original's currency, category and instrument
+    document.getElementById('expenseKind').addEventListener('change', (e) => {
+        const isRefund = e.target.value === 'refund';
+        document.getElementById('refundOfGroup').hidden = !isRefund;
+        document.getElementById('refundRateGroup').hidden = !isRefund;
+    });
+    document.getElementById('refundOf').addEventListener('change', async (e) => {
+        const original = e.target.value ? await get('expenses', e.target.value) : null;
+        if (!original) return;
+        const settings = await loadSettings();
+        const currencyEl = document.getElementById('currency');
+        if ([...currencyEl.options].some(o => o.value === original.currency)) currencyEl.value = original.currency;
+        document.getElementById('category').value = original.categoryId;
+        const instrument = instrumentOf(settings, original);
+        if (instrument) document.getElementById('instrument').value = instrument.id;
+        if (!document.getElementById('description').value) document.getElementById('description').value = original.description || '';
+        syncAmountSteps(settings.homeCurrency);
+    });
+
     // Filters
     document.getElementById('filterForm').addEventListener('submit', async (e) => { e.preventDefault(); await render(); });
-    document.getElementById('resetFilters').addEventListener('click', async () => { document.getElementById('startDate').value = ''; document.getElementById('endDate').value = ''; await render(); });
+    document.getElementById('resetFilters').addEventListener('click', async () => {
+        const { homeCurrency } = await loadSettings();
+        writeFilter(EMPTY_FILTER, homeCurrency);
+        document.getElementById('savedFilter').value = '';
+        await render();
+    });
+    document.getElementById('chartsPanel').addEventListener('click', async (e) => {
+        const target = e.target.closest('[data-key]');
+        const chart = target && target.closest('[data-chart-filter]');
+        if (chart) await applyChartFilter(chart.dataset.chartFilter, target.dataset.key);
+    });
+    document.getElementById('chartSplitBy').addEventListener('change', render);
+    document.getElementById('savedFilter').addEventListener('change', async (e) => {
+        const settings = await loadSettings();
+        const saved = settings.savedFilters.find(f => f.id === e.target.value);
+        if (saved) writeFilter(saved.filter, settings.homeCurrency);
+        await render();
+    });
+    document.getElementById('saveFilterBtn').addEventListener('click', async () => {
+        const settings = await loadSettings();
+        const current = settings.savedFilters.find(f => f.id === document.getElementById('savedFilter').value);
+        const name = prompt('Name for this filter (an existing name is replaced):', current ? current.name : '');
+        if (name == null) return;
+        try {
+            const id = await saveFilter(name, readFilter(settings.homeCurrency));
+            await render();
+            document.getElementById('savedFilter').value = id;
+            document.getElementById('deleteFilterBtn').hidden = false;
+            showToast('Filter saved ✓');
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    document.getElementById('deleteFilterBtn').addEventListener('click', async () => {
+        const el = document.getElementById('savedFilter');
+        if (!el.value || !confirm(`Delete the saved filter "${el.selectedOptions[0].textContent}"?`)) return;
+        await deleteSavedFilter(el.value);
+        el.value = '';
+        await render();
+    });
+
+    // Amount inputs follow the precision of the selected currency
+    for (const id of ['currency', 'cashCurrency']) {
+        document.getElementById(id).addEventListener('change', async () => syncAmountSteps((await loadSettings()).homeCurrency));
+    }
 
     // Display currency change
     document.getElementById('summaryCurrency').addEventListener('change', render);
 
+    // Expense export
+    document.getElementById('exportCsvBtn').addEventListener('click', async () => {
+        try { await exportExpensesCsv(); } catch (err) { alert('Export failed: ' + (err.message || err)); }
+    });
+    document.getElementById('exportXlsxBtn').addEventListener('click', async () => {
+        try { await exportExpensesXlsx(); } catch (err) { alert('Export failed: ' + (err.message || err)); }
+    });
+
+    // Printable report
+    document.getElementById('generateReportBtn').addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        btn.disabled = true;
+        try {
+            await generateReport({
+                currency: document.getElementById('reportCurrency').value,
+                includePhotos: document.getElementById('reportPhotos').checked
+            });
+        } catch (err) {
+            alert('Report failed: ' + (err.message || err));
+        } finally {
+            btn.disabled = false;
+        }
+    });
+    document.getElementById('printReportBtn').addEventListener('click', () => window.print());
+    document.getElementById('closeReportBtn').addEventListener('click', closeReport);
+
     // Backup/Restore handlers
     document.getElementById('exportBackupBtn').addEventListener('click', exportBackup);
     document.getElementById('importBackupBtn').addEventListener('click', async () => {
@@ -1410,14 +4874,22 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Default initial values
     document.getElementById('cashDate').value = todayLocal();
+    document.getElementById('settlementDate').value = todayLocal();
     const settings = await loadSettings();
-    document.getElementById('currency').value = settings.tripCurrencies[0];
+    document.getElementById('currency').value = defaultCurrencyFor(settings, formDate());
     document.getElementById('cashCurrency').value = settings.tripCurrencies[0];
     document.getElementById('summaryCurrency').value = settings.homeCurrency;
 
+    // Trash and edit history past the retention period are purged once per start
+    await purgeExpiredTrash();
+    await pruneChangeLog();
+
     // First render
     await render();
 
+    // Attachments migrated from data URLs have no thumbnail until one is generated here
+    if (await backfillThumbnails()) await render();
+
     // Sync pending offline expenses
     if (navigator.onLine) await syncPendingExpenses();
     window.addEventListener('online', async () => { await syncPendingExpenses(); });
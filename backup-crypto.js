@@ -0,0 +1,80 @@
+// Passphrase-protected backups: the JSON backup is encrypted with AES-GCM under a key derived
+// from the passphrase with PBKDF2, all through WebCrypto so it works offline. The envelope is
+// plain JSON so the import can recognise it before asking for the passphrase.
+
+export const ENCRYPTED_BACKUP_FORMAT = 'tripx-encrypted-backup';
+const PBKDF2_ITERATIONS = 600_000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function toBase64(bytes) {
+    let binary = '';
+    // Chunked so large backups don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+/**
+ * 512 derived bits: the first half is the AES key, part of the second half is stored as `check`
+ * so a wrong passphrase can be told apart from a modified file.
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { key, check: toBase64(bits.slice(32, 48)) };
+}
+
+/** The envelope fields AES-GCM authenticates along with the data, so none can be swapped. */
+const headerBytes = ({ format, version, kdf, cipher }) => new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher }));
+
+export const isEncryptedBackup = (parsed) => parsed?.format === ENCRYPTED_BACKUP_FORMAT;
+
+/** Encrypt backup JSON `text` into an envelope object (to be written with JSON.stringify). */
+export async function encryptBackup(text, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { key, check } = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const envelope = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), check },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+    };
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(envelope) }, key, new TextEncoder().encode(text));
+    return { ...envelope, data: toBase64(new Uint8Array(data)) };
+}
+
+/** Decrypt an envelope back to the backup JSON text. */
+export async function decryptBackup(envelope, passphrase) {
+    if (envelope.version !== 1 || envelope.kdf?.name !== 'PBKDF2' || envelope.kdf?.hash !== 'SHA-256' || envelope.cipher?.name !== 'AES-GCM') {
+        throw new Error('This encrypted backup uses a format this version of the app can\'t read.');
+    }
+    const damaged = new Error('The encrypted backup failed its integrity check: the file was modified or damaged.');
+    const { iterations } = envelope.kdf;
+    if (!Number.isInteger(iterations) || iterations < 100_000 || iterations > 10_000_000) throw damaged;
+    let salt, iv, data;
+    try {
+        salt = fromBase64(envelope.kdf.salt);
+        iv = fromBase64(envelope.cipher.iv);
+        data = fromBase64(envelope.data);
+    } catch {
+        throw damaged;
+    }
+    const { key, check } = await deriveKey(passphrase, salt, iterations);
+    if (check !== envelope.kdf.check) {
+        // The salt, iterations and check aren't authenticated until the data is, so a modified
+        // header looks exactly like a wrong passphrase
+        const wrong = new Error('Wrong passphrase, or the file header was modified.');
+        wrong.name = 'WrongPassphraseError';
+        throw wrong;
+    }
+    try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(envelope) }, key, data);
+        return new TextDecoder().decode(plain);
+    } catch {
+        throw damaged;
+    }
+}
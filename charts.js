@@ -0,0 +1,96 @@
+// Small SVG chart builders for the Summary tab: plain markup strings, no library, so they work
+// offline. Every bar or slice carries `data-key` so the page can react to taps on it.
+
+export const CHART_COLORS = ['#0b74de', '#27ae60', '#f39c12', '#c0392b', '#8e44ad', '#16a085', '#d35400', '#2c3e50', '#e84393', '#7f8c8d'];
+
+const escapeXml = (v) => String(v ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Bars for [{ key, label, value }] with a running line for `line` (one value per bar, drawn
+ * against its own scale on the right). Negative bars (refunds) hang below the zero line.
+ */
+export function barLineChart({ bars, line = [], format = String, width = 640, height = 220 }) {
+    if (!bars.length) return '';
+    const pad = { top: 14, right: 64, bottom: 26, left: 64 };
+    const w = width - pad.left - pad.right;
+    const h = height - pad.top - pad.bottom;
+
+    const values = bars.map(b => b.value);
+    const maxBar = Math.max(0, ...values);
+    const minBar = Math.min(0, ...values);
+    const yBar = (v) => pad.top + (maxBar - v) / ((maxBar - minBar) || 1) * h;
+    const maxLine = Math.max(0, ...line);
+    const minLine = Math.min(0, ...line);
+    const yLine = (v) => pad.top + (maxLine - v) / ((maxLine - minLine) || 1) * h;
+
+    const step = w / bars.length;
+    const barWidth = Math.max(1, step * 0.7);
+    const zero = yBar(0);
+    const labelEvery = Math.ceil(bars.length / 6);
+
+    const barsSvg = bars.map((b, i) => {
+        const x = pad.left + i * step;
+        const top = Math.min(yBar(b.value), zero);
+        const barHeight = b.value ? Math.max(1, Math.abs(yBar(b.value) - zero)) : 0;
+        const label = i % labelEvery === 0 || i === bars.length - 1
+            ? `<text class="chart-axis" x="${round(x + step / 2)}" y="${height - 8}" text-anchor="middle">${escapeXml(b.label)}</text>`
+            : '';
+        // The transparent full-height rect keeps thin or empty days easy to tap
+        return `<g class="chart-bar" data-key="${escapeXml(b.key)}">
+            <title>${escapeXml(b.label)}: ${escapeXml(format(b.value))}</title>
+            <rect class="chart-hit" x="${round(x)}" y="${pad.top}" width="${round(step)}" height="${h}" />
+            <rect x="${round(x + (step - barWidth) / 2)}" y="${round(top)}" width="${round(barWidth)}" height="${round(barHeight)}" fill="${b.value < 0 ? CHART_COLORS[3] : CHART_COLORS[0]}" />
+        </g>${label}`;
+    }).join('');
+
+    const linePoints = line.map((v, i) => `${round(pad.left + i * step + step / 2)},${round(yLine(v))}`).join(' ');
+    const lineSvg = line.length ? `<polyline class="chart-line" points="${linePoints}" fill="none" stroke="${CHART_COLORS[2]}" stroke-width="2" />` : '';
+
+    const axes = `<line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${round(zero)}" y2="${round(zero)}" />
+        <text class="chart-axis" x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${escapeXml(format(maxBar))}</text>
+        ${minBar < 0 ? `<text class="chart-axis" x="${pad.left - 6}" y="${pad.top + h}" text-anchor="end">${escapeXml(format(minBar))}</text>` : ''}
+        ${line.length ? `<text class="chart-axis" x="${width - pad.right + 6}" y="${pad.top + 4}" fill="${CHART_COLORS[2]}">${escapeXml(format(maxLine))}</text>` : ''}`;
+
+    return `<svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="img">${axes}${barsSvg}${lineSvg}</svg>`;
+}
+
+/** Point on a circle of radius `r` around (c, c), `angle` radians clockwise from 12 o'clock. */
+function polar(c, r, angle) {
+    return [round(c + r * Math.sin(angle)), round(c - r * Math.cos(angle))];
+}
+
+/** One donut segment between two angles; a full circle is drawn as two halves. */
+function arcPath(c, outer, inner, a0, a1) {
+    if (a1 - a0 >= 2 * Math.PI - 1e-6) return arcPath(c, outer, inner, a0, a0 + Math.PI) + ' ' + arcPath(c, outer, inner, a0 + Math.PI, a1);
+    const large = a1 - a0 > Math.PI ? 1 : 0;
+    const [x0, y0] = polar(c, outer, a0);
+    const [x1, y1] = polar(c, outer, a1);
+    const [x2, y2] = polar(c, inner, a1);
+    const [x3, y3] = polar(c, inner, a0);
+    return `M${x0},${y0} A${outer},${outer} 0 ${large} 1 ${x1},${y1} L${x2},${y2} A${inner},${inner} 0 ${large} 0 ${x3},${y3} Z`;
+}
+
+/**
+ * Donut for [{ key, label, value, color }] with `centerText` in the hole. Only positive values
+ * can be drawn, so slices at or below zero are left out.
+ */
+export function donutChart({ slices, format = String, centerText = '', size = 200 }) {
+    const drawn = slices.filter(s => s.value > 0);
+    const total = drawn.reduce((acc, s) => acc + s.value, 0);
+    if (!total) return '';
+    const c = size / 2;
+    const outer = c - 2;
+    const inner = outer * 0.6;
+    let angle = 0;
+    const paths = drawn.map(s => {
+        const sweep = s.value / total * 2 * Math.PI;
+        const d = arcPath(c, outer, inner, angle, angle + sweep);
+        angle += sweep;
+        return `<path class="chart-slice" data-key="${escapeXml(s.key)}" d="${d}" fill="${s.color}"><title>${escapeXml(s.label)}: ${escapeXml(format(s.value))} (${Math.round(s.value / total * 100)}%)</title></path>`;
+    }).join('');
+    return `<svg class="chart-svg chart-donut" viewBox="0 0 ${size} ${size}" role="img">${paths}
+        <text class="chart-center" x="${c}" y="${c + 5}" text-anchor="middle">${escapeXml(centerText)}</text></svg>`;
+}
@@ -1,10 +1,161 @@
+import { rescaleLegacyAmounts } from './money.js';
+
 export const DB_NAME = 'tripx';
-export const DB_VERSION = 4;
+export const DB_VERSION = 11;
+
+const PPM = 1_000_000;
+
+/**
+ * Convert legacy `fxRates` rows ({ date, base, rates: { CUR: ppm } }) into one row per
+ * (date, base, quote). Legacy rows were shared between trips, so a rate may have been written
+ * by a trip with a different home currency than the row's `base`; when a card expense used that
+ * exact rate, its trip's home currency is taken as the real base. Identity rates are dropped.
+ */
+export function convertLegacyFxRows(rows, expenses = [], settings = []) {
+    const homeByTrip = new Map(settings
+        .filter(s => typeof s.id === 'string' && s.id.startsWith('trip:'))
+        .map(s => [s.id.slice(5), String(s.homeCurrency || '').toUpperCase()]));
+    const baseByUse = new Map();
+    for (const e of expenses) {
+        const home = homeByTrip.get(e.tripId);
+        if (home && e.method !== 'cash' && e.fxRatePpm) baseByUse.set(`${e.currency}|${e.fxRatePpm}`, home);
+    }
+    const out = [];
+    for (const row of rows) {
+        if (!row) continue;
+        if (!row.rates) { if (row.base && row.quote) out.push(row); continue; }
+        for (const [quote, ppm] of Object.entries(row.rates)) {
+            const base = baseByUse.get(`${quote}|${ppm}`) || String(row.base || '').toUpperCase();
+            if (!ppm || !base || quote === base || ppm === PPM) continue;
+            out.push({ date: row.date, base, quote, ratePpm: ppm, provider: 'frankfurter', fetchedAt: null });
+        }
+    }
+    return out;
+}
+
+export function dataUrlToBlob(dataUrl) {
+    const [head, data] = dataUrl.split(',');
+    const mimeType = (head.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const bytes = head.includes(';base64') ? Uint8Array.from(atob(data), c => c.charCodeAt(0)) : new TextEncoder().encode(decodeURIComponent(data));
+    return new Blob([bytes], { type: mimeType });
+}
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onerror = () => reject(reader.error);
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/** Attachment row as written to a JSON backup: Blobs become `dataUrl` / `thumbDataUrl`. */
+export async function serializeAttachment({ blob, thumb, ...rest }) {
+    return { ...rest, dataUrl: blob ? await blobToDataUrl(blob) : null, thumbDataUrl: thumb ? await blobToDataUrl(thumb) : null };
+}
+
+/**
+ * Inverse of `serializeAttachment`. Also reads version 8 rows, which kept the file as `dataUrl`
+ * and had no thumbnail; rows that already hold Blobs are returned unchanged.
+ */
+export function deserializeAttachment(row) {
+    if (!row || typeof row.dataUrl !== 'string') return row;
+    const { dataUrl, thumbDataUrl, ...rest } = row;
+    return { ...rest, blob: dataUrlToBlob(dataUrl), thumb: thumbDataUrl ? dataUrlToBlob(thumbDataUrl) : (rest.thumb || null) };
+}
+
+/**
+ * Convert legacy `photos` rows ({ expenseId, dataUrl }, one JPEG per expense) into `attachments`
+ * rows. The id is derived from the expense so importing the same old backup twice doesn't
+ * duplicate the photo.
+ */
+export function convertLegacyPhotos(rows) {
+    return rows
+        .filter(r => r && r.expenseId && r.dataUrl)
+        .map(r => ({
+            id: `${r.expenseId}:photo`,
+            expenseId: r.expenseId,
+            kind: 'image',
+            mimeType: (String(r.dataUrl).match(/^data:([^;,]+)/) || [])[1] || 'image/jpeg',
+            name: 'receipt.jpg',
+            caption: '',
+            blob: dataUrlToBlob(r.dataUrl),
+            thumb: null,
+            order: 0
+        }));
+}
+
+// Attachments: any number of images and PDFs per expense, ordered by `order`. The file is kept
+// as a Blob in `blob`; images also get a small JPEG `thumb` for the expense table.
+function createAttachmentsStore(db) {
+    const s = db.createObjectStore('attachments', { keyPath: 'id' });
+    s.createIndex('byExpense', 'expenseId');
+    return s;
+}
+
+// Before version 8 each expense had at most one photo in the `photos` store
+function migratePhotos(db, txn) {
+    txn.objectStore('photos').getAll().onsuccess = (ev) => {
+        const store = txn.objectStore('attachments');
+        for (const row of convertLegacyPhotos(ev.target.result)) store.put(row);
+        db.deleteObjectStore('photos');
+    };
+}
+
+// Version 8 kept attachments as base64 data URLs. Thumbnails need a canvas, which can't be used
+// inside the upgrade transaction, so the app fills them in after opening.
+function migrateAttachmentBlobs(txn) {
+    const store = txn.objectStore('attachments');
+    store.getAll().onsuccess = (ev) => {
+        for (const row of ev.target.result) if (typeof row.dataUrl === 'string') store.put(deserializeAttachment(row));
+    };
+}
+
+// FX rate cache: one row per (date, base, quote); ratePpm = price of one `quote` unit in `base`
+function createFxRatesStore(db) {
+    const s = db.createObjectStore('fxRates', { keyPath: ['date', 'base', 'quote'] });
+    s.createIndex('byPair', ['base', 'quote', 'date']);
+    return s;
+}
+
+// Reads are chained with plain callbacks so the upgrade transaction stays active throughout.
+function migrateLegacyFxRates(db, txn) {
+    txn.objectStore('fxRates').getAll().onsuccess = (rowsEv) => {
+        const legacyRows = rowsEv.target.result;
+        txn.objectStore('expenses').getAll().onsuccess = (expEv) => {
+            const expenses = expEv.target.result;
+            txn.objectStore('settings').getAll().onsuccess = (setEv) => {
+                const converted = convertLegacyFxRows(legacyRows, expenses, setEv.target.result);
+                db.deleteObjectStore('fxRates');
+                const s = createFxRatesStore(db);
+                for (const row of converted) s.put(row);
+            };
+        };
+    };
+}
+
+// Before version 7 every amount was stored with two decimals, whatever its currency
+function migrateMinorUnits(txn) {
+    const stores = {};
+    const names = ['settings', 'expenses', 'cashBatches', 'settlements'];
+    const next = (i) => {
+        if (i === names.length) {
+            const changed = rescaleLegacyAmounts(stores);
+            for (const name of names) for (const record of changed[name]) txn.objectStore(name).put(record);
+            return;
+        }
+        txn.objectStore(names[i]).getAll().onsuccess = (ev) => {
+            stores[names[i]] = ev.target.result;
+            next(i + 1);
+        };
+    };
+    next(0);
+}
 
 function openDB() {
     return new Promise((resolve, reject) => {
         const req = indexedDB.open(DB_NAME, DB_VERSION);
-        req.onupgradeneeded = () => {
+        req.onupgradeneeded = (ev) => {
             const db = req.result;
 
             // Ensure current stores + indexes exist (idempotent)
@@ -30,8 +181,11 @@ function openDB() {
                 if (!s.indexNames.contains('byTrip')) s.createIndex('byTrip', 'tripId');
             }
 
+            let migrateFx = false;
             if (!db.objectStoreNames.contains('fxRates')) {
-                db.createObjectStore('fxRates', { keyPath: 'date' });
+                createFxRatesStore(db);
+            } else if (req.transaction.objectStore('fxRates').keyPath === 'date') {
+                migrateFx = true;
             }
 
             if (!db.objectStoreNames.contains('expenses')) {
@@ -50,11 +204,30 @@ function openDB() {
                 db.createObjectStore('trips', { keyPath: 'id' });
             }
 
-            // Photo store: one photo per expense, keyed by expense id
-            if (!db.objectStoreNames.contains('photos')) {
-                db.createObjectStore('photos', { keyPath: 'expenseId' });
+            // Settle-up payments between travelers of a shared trip
+            if (!db.objectStoreNames.contains('settlements')) {
+                const s = db.createObjectStore('settlements', { keyPath: 'id' });
+                if (!s.indexNames.contains('byTrip')) s.createIndex('byTrip', 'tripId');
+            }
+
+            if (!db.objectStoreNames.contains('attachments')) {
+                createAttachmentsStore(db);
             }
 
+            // Change log: before/after snapshots of every undoable edit, one row per change
+            if (!db.objectStoreNames.contains('changes')) {
+                const s = db.createObjectStore('changes', { keyPath: 'id' });
+                s.createIndex('byTrip', 'tripId');
+                s.createIndex('byRecord', 'recordIds', { multiEntry: true });
+            }
+
+            // Deleted expenses and trips, kept until restored or purged
+            if (!db.objectStoreNames.contains('trash')) {
+                const s = db.createObjectStore('trash', { keyPath: 'id' });
+                s.createIndex('byTrip', 'tripId');
+            }
+            const migratePhotoStore = db.objectStoreNames.contains('photos');
+
             // One-time cleanup for legacy records:
             // Remove old global settings key 'app' if present.
             try {
@@ -67,6 +240,12 @@ function openDB() {
             } catch (err) {
                 // swallow any errors during cleanup so upgrade still completes
             }
+
+            // Runs last so the expenses/settings stores it reads are guaranteed to exist
+            if (migrateFx) migrateLegacyFxRates(db, req.transaction);
+            if (ev.oldVersion > 0 && ev.oldVersion < 7) migrateMinorUnits(req.transaction);
+            if (migratePhotoStore) migratePhotos(db, req.transaction);
+            if (ev.oldVersion === 8) migrateAttachmentBlobs(req.transaction);
         };
         req.onsuccess = () => resolve(req.result);
         req.onerror = () => reject(req.error);
@@ -117,4 +296,12 @@ export const indexGetAllKey = (store, indexName, key) =>
         const r = idx.getAll(key);
         r.onsuccess = () => res(r.result);
         r.onerror = () => rej(r.error);
-    }));
\ No newline at end of file
+    }));
+
+/** First record of an index within [lower, upper] ('prev' = the last one), or null. */
+export const indexGetFirstInRange = (store, indexName, lower, upper, direction = 'next') =>
+    tx([store], 'readonly', (s) => new Promise((res, rej) => {
+        const r = s.index(indexName).openCursor(IDBKeyRange.bound(lower, upper), direction);
+        r.onsuccess = () => res(r.result ? r.result.value : null);
+        r.onerror = () => rej(r.error);
+    }));
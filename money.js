@@ -0,0 +1,264 @@
+// Amounts are stored as integers in their currency's ISO 4217 minor unit (the "cents" in
+// field names): 1 JPY is 1, 1 EUR is 100 and 1 KWD is 1000. Rates stay in PPM per major unit.
+
+const PPM = 1_000_000;
+
+/** ISO 4217 minor units for every currency that does not use two decimals. */
+export const CURRENCY_MINOR_UNITS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4
+};
+
+export const minorUnits = (currency) => CURRENCY_MINOR_UNITS[String(currency || '').toUpperCase()] ?? 2;
+
+/** Major-unit input ("12.34") to minor units of `currency`. */
+export const toCents = (n, currency) => Math.round(Number(n) * 10 ** minorUnits(currency));
+
+/** Minor units to a plain decimal string with the currency's own precision, e.g. for input values. */
+export const fromCents = (c, currency) => (c / 10 ** minorUnits(currency)).toFixed(minorUnits(currency));
+
+/** The `step` attribute for an amount input in `currency` ("1", "0.01", "0.001"). */
+export const amountStep = (currency) => {
+    const digits = minorUnits(currency);
+    return digits ? (1 / 10 ** digits).toFixed(digits) : '1';
+};
+
+const formatters = new Map();
+
+/** Locale-formatted amount with currency symbol; unknown codes fall back to "XYZ 12.34". */
+export function formatMoney(cents, currency) {
+    const code = String(currency || '').toUpperCase();
+    if (!formatters.has(code)) {
+        const digits = minorUnits(code);
+        try {
+            formatters.set(code, new Intl.NumberFormat(undefined, { style: 'currency', currency: code, minimumFractionDigits: digits, maximumFractionDigits: digits }));
+        } catch {
+            formatters.set(code, null);
+        }
+    }
+    const fmt = formatters.get(code);
+    return fmt ? fmt.format(cents / 10 ** minorUnits(code)) : `${code} ${fromCents(cents, code)}`;
+}
+
+/** Convert minor units of `from` into minor units of `to` at `ratePpm` (`to` per one `from`). */
+export const convertCents = (cents, ratePpm, from, to) =>
+    Math.round(cents * ratePpm / PPM * 10 ** (minorUnits(to) - minorUnits(from)));
+
+/** The rate (PPM `to` per one `from`) implied by an amount and its converted amount. */
+export const impliedRatePpm = (fromAmountCents, toAmountCents, from, to) =>
+    Math.round(toAmountCents * PPM / fromAmountCents * 10 ** (minorUnits(from) - minorUnits(to)));
+
+/**
+ * Rescale records written when every currency was stored with two decimals. Works in place on
+ * plain arrays (from the database or a backup) and returns the records it changed per store.
+ */
+export function rescaleLegacyAmounts({ settings = [], expenses = [], cashBatches = [], settlements = [] }) {
+    const changed = { settings: [], expenses: [], cashBatches: [], settlements: [] };
+    const rescale = (cents, currency) => (Number.isFinite(cents) ? Math.round(cents * 10 ** (minorUnits(currency) - 2)) : cents);
+    const homeByTrip = new Map(settings
+        .filter(s => typeof s.id === 'string' && s.id.startsWith('trip:'))
+        .map(s => [s.id.slice(5), String(s.homeCurrency || 'CAD').toUpperCase()]));
+
+    for (const s of settings) {
+        const home = homeByTrip.get(typeof s.id === 'string' ? s.id.slice(5) : null);
+        if (!home || minorUnits(home) === 2) continue;
+        if (s.budgetCents != null) s.budgetCents = rescale(s.budgetCents, home);
+        for (const catId of Object.keys(s.categoryBudgets || {})) s.categoryBudgets[catId] = rescale(s.categoryBudgets[catId], home);
+        for (const inst of s.instruments || []) inst.fixedFeeCents = rescale(inst.fixedFeeCents, home);
+        changed.settings.push(s);
+    }
+
+    for (const e of expenses) {
+        const home = homeByTrip.get(e.tripId) || 'CAD';
+        if (minorUnits(e.currency) === 2 && minorUnits(home) === 2) continue;
+        e.amountLocalCents = rescale(e.amountLocalCents, e.currency);
+        if (e.split && e.split.mode === 'exact') e.split.parts.forEach(p => { p.value = rescale(p.value, e.currency); });
+        if (Array.isArray(e.cashAllocations)) e.cashAllocations.forEach(a => { a.amountLocalCents = rescale(a.amountLocalCents, e.currency); });
+        for (const key of ['baseAmountCents', 'feeCents', 'estimatedBaseAmountCents', 'estimatedFeeCents']) {
+            if (e[key] != null) e[key] = rescale(e[key], home);
+        }
+        if (e.statementRef) e.statementRef.amountCents = rescale(e.statementRef.amountCents, home);
+        changed.expenses.push(e);
+    }
+
+    for (const b of cashBatches) {
+        if (minorUnits(b.currency) === 2) continue;
+        b.purchasedAmountCents = rescale(b.purchasedAmountCents, b.currency);
+        changed.cashBatches.push(b);
+    }
+
+    for (const st of settlements) {
+        const home = homeByTrip.get(st.tripId) || 'CAD';
+        if (minorUnits(home) === 2) continue;
+        st.amountCents = rescale(st.amountCents, home);
+        changed.settlements.push(st);
+    }
+    return changed;
+}
+
+// ---------- Expense pricing ----------
+
+const applyFeePpm = (ppm, feePercent) => Math.round(ppm * (1 + feePercent / 100));
+
+/** Which batches a cash expense drew from. Older records only carry a single `cashBatchId`. */
+export function cashAllocationsOf(expense) {
+    if (Array.isArray(expense.cashAllocations)) return expense.cashAllocations;
+    if (expense.cashBatchId) return [{ batchId: expense.cashBatchId, amountLocalCents: expense.amountLocalCents }];
+    return [];
+}
+
+export function cashBaseCents(allocations, batchesById, homeCurrency) {
+    return allocations.reduce((acc, a) => {
+        const batch = batchesById.get(a.batchId);
+        return acc + (batch ? convertCents(a.amountLocalCents, batch.ratePpm, batch.currency, homeCurrency) : 0);
+    }, 0);
+}
+
+/** The instrument an expense was paid with; older expenses only carry `method`, which matches the default ids. */
+export function instrumentOf(settings, e) {
+    const id = e.instrumentId || e.method;
+    return settings.instruments.find(i => i.id === id)
+        || settings.instruments.find(i => i.type === (e.method === 'cash' ? 'cash' : 'credit'))
+        || null;
+}
+
+/**
+ * Home-currency cost of a card purchase. Foreign purchases carry the instrument's percentage
+ * fee on top of the rate plus its fixed per-transaction fee (in home currency).
+ */
+export function cardBaseCents({ amountLocalCents, currency, fxRatePpm, fxSource, kind }, instrument, homeCurrency) {
+    if (fxSource === 'identity') return { baseAmountCents: amountLocalCents, feeCents: 0 };
+    const rawCents = convertCents(amountLocalCents, fxRatePpm, currency, homeCurrency);
+    // Card fees are charged on purchases, not given back on refunds
+    if (kind === 'refund') return { baseAmountCents: rawCents, feeCents: 0 };
+    const baseAmountCents = convertCents(amountLocalCents, applyFeePpm(fxRatePpm, instrument?.feePercent || 0), currency, homeCurrency)
+        + (instrument?.fixedFeeCents || 0);
+    return { baseAmountCents, feeCents: baseAmountCents - rawCents };
+}
+
+/** A refund at the original's effective rate: the same share of its home amount, fees included. */
+export function originalRateRefund(amountLocalCents, original) {
+    return {
+        baseAmountCents: original.amountLocalCents ? Math.round(amountLocalCents * original.baseAmountCents / original.amountLocalCents) : 0,
+        fxRatePpm: original.fxRatePpm,
+        fxSource: 'original'
+    };
+}
+
+// Cash refunds always go back at their batches' rates, so only card refunds follow the original
+export const isOriginalRateRefund = (e) => e.kind === 'refund' && e.refundRate === 'original' && e.refundOf && e.method !== 'cash';
+
+/**
+ * Re-price a trip's records for `newHome`, without writing anything. `rateFor(date, currency)`
+ * resolves to `{ ppm, source }` in `newHome` or null, and `todayPpm` is today's old→new home
+ * rate. Card expenses get a rate for their own date, statement amounts and cash batches are
+ * converted at their date's old→new home rate, and home-currency settings (budgets, fixed fees,
+ * manual rates, settlements) use today's rate. Whatever has no rate is left pending. Expenses
+ * in the `trash` items are re-priced with the rest, so a restore brings them back in `newHome`.
+ */
+export async function rebaseTripRecords({ settings, expenses, cashBatches, settlements, trash = [] }, { newHome, todayPpm, rateFor, onProgress = () => {} }) {
+    const oldHome = settings.homeCurrency;
+    const convertHome = (cents) => (cents == null ? cents : convertCents(cents, todayPpm, oldHome, newHome));
+
+    const nextSettings = structuredClone(settings);
+    nextSettings.homeCurrency = newHome;
+    nextSettings.budgetCents = convertHome(settings.budgetCents);
+    for (const catId of Object.keys(nextSettings.categoryBudgets)) nextSettings.categoryBudgets[catId] = convertHome(nextSettings.categoryBudgets[catId]);
+    for (const inst of nextSettings.instruments) inst.fixedFeeCents = convertHome(inst.fixedFeeCents);
+    nextSettings.manualRates = {};
+    for (const [cur, ppm] of Object.entries(settings.manualRates)) {
+        if (cur !== newHome) nextSettings.manualRates[cur] = Math.round(ppm * todayPpm / PPM);
+    }
+    const nextSettlements = settlements.map(st => ({ ...st, amountCents: convertHome(st.amountCents) }));
+
+    const trashed = trash.filter(item => item.kind === 'expense');
+    const total = cashBatches.length + expenses.length + trashed.length;
+    let done = 0;
+    onProgress(done, total);
+
+    // A batch's price is what its cash cost in the old home currency, worth that day's rate now
+    const nextBatches = [];
+    for (const b of cashBatches) {
+        const next = { ...b };
+        if (b.currency === newHome) next.ratePpm = PPM;
+        else {
+            const r = await rateFor(b.date, oldHome);
+            if (r) next.ratePpm = Math.round(b.ratePpm * r.ppm / PPM);
+            else next.rebaseFrom = oldHome;
+        }
+        nextBatches.push(next);
+        onProgress(++done, total);
+    }
+    const batchesById = new Map(nextBatches.map(b => [b.id, b]));
+
+    const markPending = (e) => Object.assign(e, { baseAmountCents: null, feeCents: 0, fxRatePpm: null, fxSource: 'pending' });
+    const rebaseExpense = async (exp) => {
+        const e = structuredClone(exp);
+        const allocations = cashAllocationsOf(e);
+        if (e.currency === newHome) {
+            Object.assign(e, { baseAmountCents: e.amountLocalCents, feeCents: 0, fxRatePpm: PPM, fxSource: 'identity', cashBatchId: null, cashAllocations: null });
+        } else if (e.method === 'cash' && allocations.length) {
+            if (allocations.some(a => batchesById.get(a.batchId)?.rebaseFrom)) markPending(e);
+            else {
+                e.baseAmountCents = cashBaseCents(allocations, batchesById, newHome);
+                e.fxRatePpm = e.amountLocalCents ? impliedRatePpm(e.amountLocalCents, e.baseAmountCents, e.currency, newHome) : e.fxRatePpm;
+                e.fxSource = 'cashBatch';
+            }
+        } else if (e.fxSource === 'statement') {
+            // The charge was billed in the old home currency; convert what was actually paid
+            const r = await rateFor(e.date, oldHome);
+            if (r) {
+                const convert = (cents) => (cents == null ? cents : convertCents(cents, r.ppm, oldHome, newHome));
+                e.baseAmountCents = convert(e.baseAmountCents);
+                e.feeCents = convert(e.feeCents);
+                e.estimatedBaseAmountCents = convert(e.estimatedBaseAmountCents);
+                e.estimatedFeeCents = convert(e.estimatedFeeCents);
+                e.fxRatePpm = e.amountLocalCents ? impliedRatePpm(e.amountLocalCents, e.baseAmountCents, e.currency, newHome) : e.fxRatePpm;
+            } else {
+                markPending(e);
+                delete e.statementRef;
+                delete e.estimatedBaseAmountCents;
+                delete e.estimatedFeeCents;
+            }
+        } else if (e.fxSource !== 'original') {
+            const r = await rateFor(e.date, e.currency);
+            if (r) {
+                e.fxRatePpm = r.ppm;
+                e.fxSource = r.source;
+                Object.assign(e, cardBaseCents(e, instrumentOf(nextSettings, e), newHome));
+            } else markPending(e);
+        }
+        onProgress(++done, total);
+        return e;
+    };
+    const nextExpenses = [];
+    for (const exp of expenses) nextExpenses.push(await rebaseExpense(exp));
+    const nextTrash = [];
+    for (const item of trashed) nextTrash.push({ ...item, expense: await rebaseExpense(item.expense) });
+
+    // Refunds at the original's rate follow their re-based original, wherever either one is
+    const all = [...nextExpenses, ...nextTrash.map(item => item.expense)];
+    const nextById = new Map(all.map(e => [e.id, e]));
+    for (const e of all) {
+        if (!isOriginalRateRefund(e) || e.currency === newHome) continue;
+        const original = nextById.get(e.refundOf);
+        if (original && original.baseAmountCents != null) Object.assign(e, originalRateRefund(e.amountLocalCents, original));
+        else markPending(e);
+    }
+
+    const sum = (list) => list.reduce((acc, e) => acc + (e.baseAmountCents || 0), 0);
+    return {
+        oldHome,
+        newHome,
+        oldTotalCents: sum(expenses),
+        newTotalCents: sum(nextExpenses),
+        pendingCount: nextExpenses.filter(e => e.baseAmountCents == null).length,
+        settings: nextSettings,
+        expenses: nextExpenses,
+        cashBatches: nextBatches,
+        settlements: nextSettlements,
+        trash: nextTrash
+    };
+}
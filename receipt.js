@@ -0,0 +1,279 @@
+// Receipt text parsing for OCR results: ranked candidates for the total, date and merchant,
+// plus the receipt's currency. Pure functions with no DOM access, so they can be tested in Node.
+
+import { CURRENCY_MINOR_UNITS, minorUnits } from './money.js';
+
+/** Tesseract languages to load for receipts in each currency. */
+export const CURRENCY_LANG_MAP = {
+    EUR: ['spa', 'fra', 'deu', 'ita', 'por', 'nld'],
+    GBP: ['eng'],
+    CAD: ['eng', 'fra'],
+    USD: ['eng', 'spa'],
+    MXN: ['spa'],
+    JPY: ['jpn'],
+    CHF: ['deu', 'fra', 'ita'],
+    BRL: ['por'],
+    SEK: ['swe'],
+    NOK: ['nor'],
+    DKK: ['dan'],
+    PLN: ['pol'],
+    CZK: ['ces'],
+    TRY: ['tur'],
+    THB: ['tha', 'eng'],
+    KRW: ['kor'],
+    CNY: ['chi_sim'],
+    AUD: ['eng'],
+    NZD: ['eng'],
+    HKD: ['eng', 'chi_sim'],
+    SGD: ['eng'],
+    INR: ['eng', 'hin'],
+    ZAR: ['eng'],
+    ILS: ['heb', 'eng'],
+    ARS: ['spa'],
+    CLP: ['spa'],
+    COP: ['spa'],
+    PEN: ['spa'],
+    HUF: ['hun'],
+    RON: ['ron'],
+    BGN: ['bul'],
+    HRK: ['hrv'],
+    ISK: ['isl'],
+    MAD: ['fra', 'ara'],
+    EGP: ['ara', 'eng'],
+};
+
+/** A representative locale per currency, used to read receipt dates and decimal separators. */
+const CURRENCY_LOCALE_MAP = {
+    EUR: 'de-DE', GBP: 'en-GB', CAD: 'en-CA', USD: 'en-US', MXN: 'es-MX', JPY: 'ja-JP',
+    CHF: 'de-CH', BRL: 'pt-BR', SEK: 'sv-SE', NOK: 'nb-NO', DKK: 'da-DK', PLN: 'pl-PL',
+    CZK: 'cs-CZ', TRY: 'tr-TR', THB: 'th-TH', KRW: 'ko-KR', CNY: 'zh-CN', AUD: 'en-AU',
+    NZD: 'en-NZ', HKD: 'zh-HK', SGD: 'en-SG', INR: 'en-IN', ZAR: 'en-ZA', ILS: 'he-IL',
+    ARS: 'es-AR', CLP: 'es-CL', COP: 'es-CO', PEN: 'es-PE', HUF: 'hu-HU', RON: 'ro-RO',
+    BGN: 'bg-BG', HRK: 'hr-HR', ISK: 'is-IS', MAD: 'fr-MA', EGP: 'ar-EG-u-nu-latn',
+};
+
+/** Numeric date order ('DMY', 'MDY' or 'YMD') and decimal separator of the locale used for `currency`. */
+function receiptLocaleHints(currency) {
+    const locale = CURRENCY_LOCALE_MAP[String(currency || '').toUpperCase()];
+    try {
+        const dateOrder = new Intl.DateTimeFormat(locale).formatToParts(new Date(2001, 10, 22))
+            .filter(p => ['day', 'month', 'year'].includes(p.type))
+            .map(p => p.type[0].toUpperCase()).join('');
+        const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal')?.value;
+        return { dateOrder: ['DMY', 'MDY', 'YMD'].includes(dateOrder) ? dateOrder : 'DMY', decimal: decimal === ',' ? ',' : '.' };
+    } catch {
+        return { dateOrder: 'DMY', decimal: '.' };
+    }
+}
+
+// Multi-character symbols come first so "R$" or "US$" wins over a bare "$". Ambiguous symbols
+// list every currency they may stand for; the trip's own currencies are preferred among them.
+const CURRENCY_SYMBOLS = [
+    ['US$', ['USD']], ['CA$', ['CAD']], ['C$', ['CAD']], ['AU$', ['AUD']], ['A$', ['AUD']],
+    ['NZ$', ['NZD']], ['HK$', ['HKD']], ['S$', ['SGD']], ['R$', ['BRL']], ['MX$', ['MXN']],
+    ['S/', ['PEN']], ['zł', ['PLN']], ['Kč', ['CZK']], ['Ft', ['HUF']], ['lei', ['RON']],
+    ['лв', ['BGN']], ['kn', ['HRK']], ['kr', ['SEK', 'NOK', 'DKK', 'ISK']],
+    ['€', ['EUR']], ['£', ['GBP']], ['円', ['JPY']], ['元', ['CNY']], ['¥', ['JPY', 'CNY']],
+    ['₩', ['KRW']], ['฿', ['THB']], ['₹', ['INR']], ['₪', ['ILS']], ['₺', ['TRY']],
+    ['₱', ['PHP']], ['₫', ['VND']], ['$', ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN', 'ARS', 'CLP', 'COP']],
+];
+
+/** "Total" keywords per Tesseract language in CURRENCY_LANG_MAP; subtotals are excluded separately. */
+const TOTAL_KEYWORDS = {
+    eng: ['grand total', 'total', 'amount due', 'balance due', 'to pay'],
+    spa: ['total', 'importe', 'a pagar'],
+    fra: ['net à payer', 'total', 'montant', 'à payer'],
+    deu: ['gesamtbetrag', 'summe', 'gesamt', 'zu zahlen', 'betrag', 'total'],
+    ita: ['totale', 'importo', 'da pagare'],
+    por: ['total', 'valor a pagar', 'a pagar'],
+    nld: ['totaal', 'te betalen'],
+    jpn: ['合計', '総額', 'お会計', 'ご請求額'],
+    swe: ['summa', 'totalt', 'att betala'],
+    nor: ['totalt', 'sum', 'å betale'],
+    dan: ['i alt', 'total', 'at betale'],
+    pol: ['suma', 'razem', 'do zapłaty'],
+    ces: ['celkem', 'k úhradě'],
+    tur: ['toplam', 'genel toplam'],
+    tha: ['ยอดรวม', 'รวมทั้งสิ้น', 'รวม'],
+    kor: ['합계', '총액', '결제금액'],
+    chi_sim: ['合计', '总计', '应付', '实付'],
+    hin: ['कुल'],
+    heb: ['סה"כ', 'סך הכל', 'לתשלום'],
+    hun: ['összesen', 'fizetendő'],
+    ron: ['total', 'de plată'],
+    bul: ['общо', 'сума'],
+    hrv: ['ukupno', 'za platiti'],
+    isl: ['samtals', 'alls'],
+    ara: ['المجموع', 'الإجمالي', 'الاجمالي'],
+};
+const SUBTOTAL_KEYWORDS = ['subtotal', 'sub total', 'sub-total', 'zwischensumme', 'sous-total', 'sous total', 'subtotale', '小計', '小计', 'delsumma', 'mellemsum', 'subtotaal', 'ara toplam', 'részösszeg', 'mezisoučet'];
+
+// Scripts written without spaces between words can't use letter boundaries around a keyword
+const NO_WORD_BOUNDARY = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/;
+
+function keywordPattern(keywords) {
+    const parts = keywords.map(k => {
+        const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s*');
+        return NO_WORD_BOUNDARY.test(k) ? escaped : `(?<!\\p{L})${escaped}(?!\\p{L})`;
+    });
+    return new RegExp(parts.join('|'), 'iu');
+}
+
+/** Pick the receipt's currency from ISO codes and symbols, preferring the trip's own currencies. */
+function detectReceiptCurrency(text, tripCurrencies) {
+    const known = new Set([...Object.keys(CURRENCY_LANG_MAP), ...Object.keys(CURRENCY_MINOR_UNITS), ...tripCurrencies]);
+    const votes = new Map();
+    const vote = (code, weight) => votes.set(code, (votes.get(code) || 0) + weight);
+    for (const [code] of text.matchAll(/(?<![A-Za-z])[A-Z]{3}(?![A-Za-z])/g)) {
+        if (known.has(code)) vote(code, 2);
+    }
+    let rest = text;
+    for (const [symbol, codes] of CURRENCY_SYMBOLS) {
+        // Letter symbols ("kr", "lei") must stand alone; glyphs like "€" can touch the amount
+        const pattern = /\p{L}/u.test(symbol) && !NO_WORD_BOUNDARY.test(symbol)
+            ? new RegExp(`(?<!\\p{L})${symbol.replace(/[$/]/g, '\\$&')}(?!\\p{L})`, 'gu')
+            : new RegExp(symbol.replace(/[$/]/g, '\\$&'), 'g');
+        const count = (rest.match(pattern) || []).length;
+        if (!count) continue;
+        rest = rest.replace(pattern, ' ');
+        vote(codes.find(c => tripCurrencies.includes(c)) || codes[0], count);
+    }
+    let best = null;
+    for (const [code, weight] of votes) if (!best || weight > votes.get(best)) best = code;
+    return best;
+}
+
+/**
+ * Read an amount token such as "1.234,56", "1,234.56", "1'234.50" or "1 500" (with a no-break
+ * or narrow space; a plain space is taken as two separate numbers) as a major-unit number. When only one separator appears, three trailing digits mean thousands unless the
+ * currency itself has three decimals; otherwise it is the decimal separator.
+ */
+function parseReceiptAmount(token, decimal, currency) {
+    const digits = minorUnits(currency);
+    const cleaned = token.replace(/['’\u00A0\u202F]/g, '');
+    const seps = cleaned.replace(/\d/g, '');
+    let dec = null;
+    if (seps.includes('.') && seps.includes(',')) {
+        dec = cleaned.lastIndexOf('.') > cleaned.lastIndexOf(',') ? '.' : ',';
+    } else if (seps.length === 1) {
+        const tail = cleaned.length - cleaned.indexOf(seps) - 1;
+        dec = tail !== 3 || (digits === 3 && seps === decimal) ? seps : null;
+    }
+    const normalized = dec
+        ? cleaned.replace(new RegExp(`[^\\d${dec === '.' ? '\\.' : ','}]`, 'g'), '').replace(dec, '.')
+        : cleaned.replace(/\D/g, '');
+    const value = Number(normalized);
+    return Number.isFinite(value) ? { value, decimals: dec ? normalized.length - normalized.indexOf('.') - 1 : 0 } : null;
+}
+
+const AMOUNT_TOKEN = /\d{1,3}(?:[.,'’\u00A0\u202F]\d{3})+(?:[.,]\d{1,3})?|\d+(?:[.,]\d{1,3})?/g;
+
+/**
+ * Parse a numeric date in `line` as `{ value: 'YYYY-MM-DD', token }`, using `dateOrder` only
+ * when the values are ambiguous. `token` is the matched text, used to find its word box.
+ */
+function parseReceiptDate(line, dateOrder) {
+    const iso = (y, m, d) => {
+        y = Number(y); m = Number(m); d = Number(d);
+        if (y < 100) y += y > 50 ? 1900 : 2000;
+        if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+        const dt = new Date(Date.UTC(y, m - 1, d));
+        return dt.getUTCMonth() === m - 1 ? dt.toISOString().slice(0, 10) : null;
+    };
+    const found = (value, token) => (value ? { value, token } : null);
+    let m = line.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/) || line.match(/(?<!\d)(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+    if (m) return found(iso(m[1], m[2], m[3]), m[0]);
+    m = line.match(/(?<!\d)(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?![\d.,]\d)/);
+    if (!m) return null;
+    const [token, a, b, year] = m;
+    // A value above 12 can only be the day; otherwise follow the locale (YMD locales read
+    // a trailing year as day-first, the more common order worldwide)
+    const monthFirst = Number(b) > 12 || (Number(a) <= 12 && dateOrder === 'MDY');
+    return found(monthFirst ? iso(year, a, b) : iso(year, b, a), token);
+}
+
+// Whole words only, like keywordPattern: "Hotel Adlon" or "Taxi Roma" are merchants, not "tel" or "tax"
+const NOT_MERCHANT = /(?<!\p{L})(?:receipt|invoice|facture|rechnung|quittung|beleg|recibo|ricevuta|scontrino|kvitto|ticket|tel|telephone|phone|fax|vat|tax|mwst|tva|iva|date|time|order|table|cashier|welcome|bienvenue|willkommen)(?!\p{L})|www\.|https?:|@/iu;
+
+/** Merchant candidates: lines near the top that read like a name rather than a number or address. */
+function findMerchants(lines) {
+    const found = [];
+    lines.slice(0, 8).forEach((line, index) => {
+        const letters = (line.match(/\p{L}/gu) || []).length;
+        if (letters < 3 || letters / line.replace(/\s/g, '').length < 0.6) return;
+        if (NOT_MERCHANT.test(line) || /\d{3,}|\d[.,]\d{2}(?!\d)/.test(line)) return;
+        const value = line.replace(/^[^\p{L}\d]+|[^\p{L}\d.)!]+$/gu, '').slice(0, 60);
+        if (!found.some(c => c.value === value)) found.push({ value, token: value, line: index });
+    });
+    return found.slice(0, 3);
+}
+
+// Lines that carry an amount but are not what was spent: cash handed over, change, points, savings
+const NOT_TOTAL = /(?<!\p{L})(?:cash|tender(?:ed)?|change|cambio|vuelto|rendu|monnaie|espèces|r[üu]ckgeld|wechselgeld|gegeben|bar|efectivo|contanti|resto|points?|punkte|punti|bonus|saved|savings|discount|rabatt|remise|descuento|sconto|tax|vat|mwst|tva|iva)(?!\p{L})|お釣り|お預り|釣銭|找零/iu;
+
+/**
+ * Extract ranked candidates for the total, date and merchant from OCR text, plus the detected
+ * currency. `date`, `total` and `merchant` are the best candidate of each. Date order and
+ * decimal separators follow the locale of the detected currency (or the first foreign trip
+ * currency), and total keywords are matched in every language the trip's currencies load.
+ */
+export function parseReceipt(ocrText, { tripCurrencies = [], homeCurrency = null } = {}) {
+    const lines = ocrText.split('\n').map(l => l.trim()).filter(Boolean);
+    const trip = tripCurrencies.map(c => c.toUpperCase());
+    const home = homeCurrency ? homeCurrency.toUpperCase() : null;
+
+    const currency = detectReceiptCurrency(ocrText, trip);
+    const localeCurrency = currency || trip.find(c => c !== home) || home;
+    const { dateOrder, decimal } = receiptLocaleHints(localeCurrency);
+
+    // Dates: earlier lines first, and dates that could be this trip's (not years off) ahead of others
+    const today = new Date().toISOString().slice(0, 10);
+    const twoYearsAgo = new Date(Date.now() - 2 * 365 * 86400000).toISOString().slice(0, 10);
+    const dates = [];
+    lines.forEach((line, index) => {
+        const d = parseReceiptDate(line, dateOrder);
+        if (!d || dates.some(c => c.value === d.value)) return;
+        dates.push({ ...d, line: index, score: (d.value >= twoYearsAgo && d.value <= today ? 100 : 0) - index });
+    });
+    dates.sort((a, b) => b.score - a.score);
+
+    const langs = new Set(['eng']);
+    for (const cur of [localeCurrency, ...trip, home]) (CURRENCY_LANG_MAP[cur] || []).forEach(l => langs.add(l));
+    const totalPattern = keywordPattern([...langs].flatMap(l => TOTAL_KEYWORDS[l] || []));
+    const subtotalPattern = keywordPattern(SUBTOTAL_KEYWORDS);
+    const digits = minorUnits(localeCurrency);
+
+    // Totals: a "total" keyword counts most, cash/change/points/tax lines count against,
+    // and later lines and larger amounts break ties
+    const totals = new Map();
+    lines.forEach((line, index) => {
+        const isTotal = totalPattern.test(line) && !subtotalPattern.test(line);
+        // Dates and times aren't amounts
+        const scan = line.replace(/\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}:\d{2}(:\d{2})?/g, ' ');
+        const amounts = (scan.match(AMOUNT_TOKEN) || [])
+            .map(token => ({ token, ...parseReceiptAmount(token, decimal, localeCurrency) }))
+            .filter(a => a.value > 0 && a.value < 1e7);
+        amounts.forEach((a, k) => {
+            // Away from a total line, only amounts with the currency's own decimals count, so
+            // phone numbers and quantities aren't mistaken for prices
+            const priced = a.decimals === digits;
+            if (!priced && !isTotal) return;
+            let score = (priced ? 10 : 0) + (index / lines.length) * 5;
+            if (isTotal) score += 50 + (k === amounts.length - 1 ? 5 : 0);
+            if (subtotalPattern.test(line)) score -= 20;
+            if (NOT_TOTAL.test(line)) score -= 40;
+            const prev = totals.get(a.value);
+            if (!prev || prev.score < score) totals.set(a.value, { value: a.value, token: a.token, line: index, score });
+        });
+    });
+    const rankedTotals = [...totals.values()].sort((a, b) => b.score - a.score || b.value - a.value);
+
+    const merchants = findMerchants(lines);
+    return {
+        date: dates[0]?.value || null,
+        total: rankedTotals[0]?.value || null,
+        currency,
+        merchant: merchants[0]?.value || null,
+        candidates: { total: rankedTotals.slice(0, 6), date: dates.slice(0, 4), merchant: merchants }
+    };
+}
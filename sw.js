@@ -1,10 +1,15 @@
-const CACHE = 'tripx-v3';
+const CACHE = 'tripx-v20';
 const ASSETS = [
   './',
   './index.html',
   './styles.css',
   './app.js',
   './db.js',
+  './xlsx.js',
+  './money.js',
+  './charts.js',
+  './receipt.js',
+  './backup-crypto.js',
   './manifest.json',
   './icons/icon-192.png',
   './icons/icon-512.png',
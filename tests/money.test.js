@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rebaseTripRecords } from '../money.js';
+
+const settings = {
+    homeCurrency: 'CAD', budgetCents: null, categoryBudgets: {}, manualRates: {},
+    instruments: [{ id: 'credit', name: 'Visa', type: 'credit', feePercent: 2.5, fixedFeeCents: 0 }, { id: 'cash', name: 'Cash', type: 'cash', feePercent: 0, fixedFeeCents: 0 }]
+};
+// USD per one EUR or CAD
+const rateFor = async (date, currency) => ({ EUR: { ppm: 1_100_000, source: 'frankfurter' }, CAD: { ppm: 750_000, source: 'frankfurter' } })[currency] || null;
+const rebaseToUsd = (records) => rebaseTripRecords({ settings, expenses: [], cashBatches: [], settlements: [], ...records }, { newHome: 'USD', todayPpm: 750_000, rateFor });
+
+const dinner = {
+    id: 'e1', tripId: 't', date: '2026-05-02', currency: 'EUR', method: 'credit', instrumentId: 'credit',
+    amountLocalCents: 10000, baseAmountCents: 15375, feeCents: 375, fxRatePpm: 1_500_000, fxSource: 'frankfurter'
+};
+const trashed = (expense) => ({ id: `trash-${expense.id}`, kind: 'expense', tripId: 't', label: expense.id, deletedAt: '2026-05-03T00:00:00Z', expense, attachments: [], unlinkedRefunds: [] });
+
+test('re-prices a deleted expense so it is restored in the new home currency', async () => {
+    const plan = await rebaseToUsd({ trash: [trashed(dinner)] });
+    const restored = plan.trash[0].expense;
+    assert.equal(restored.fxRatePpm, 1_100_000);
+    assert.equal(restored.baseAmountCents, 11275);
+    assert.equal(restored.feeCents, 275);
+    // Only live expenses count towards the totals shown before applying
+    assert.equal(plan.newTotalCents, 0);
+    assert.deepEqual(plan.expenses, []);
+});
+
+test('re-prices a deleted refund at the rate of its re-based original', async () => {
+    const refund = { ...dinner, id: 'r1', kind: 'refund', refundOf: 'e1', refundRate: 'original', amountLocalCents: -2000, baseAmountCents: -3075, feeCents: 0, fxSource: 'original' };
+    const plan = await rebaseToUsd({ expenses: [dinner], trash: [trashed(refund)] });
+    assert.equal(plan.expenses[0].baseAmountCents, 11275);
+    assert.equal(plan.trash[0].expense.baseAmountCents, -2255);
+});
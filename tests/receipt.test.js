@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReceipt } from '../receipt.js';
+
+const merchantOf = (firstLine) => parseReceipt(`${firstLine}\nTOTAL 12.50`, { tripCurrencies: ['EUR'], homeCurrency: 'CAD' }).merchant;
+
+test('keeps merchant names that contain a filtered word inside another word', () => {
+    for (const name of ['Hotel Adlon', 'Grand Hotel', 'Taxi Roma', 'Border Grill', 'Private Kitchen', 'Trattoria Diva']) {
+        assert.equal(merchantOf(name), name);
+    }
+});
+
+test('skips header lines that are whole filtered words', () => {
+    for (const line of ['Tel: +49 30 2261 0', 'Receipt', 'VAT no. DE123', 'Order #12', 'info@adlon.de', 'www.adlon.de']) {
+        assert.equal(merchantOf(line), null, line);
+    }
+});
+
+test('reads thousands separated by a no-break space', () => {
+    const parsed = parseReceipt('Hotel Adlon\nTOTAL 1\u00A0500,00 €', { tripCurrencies: ['EUR'], homeCurrency: 'CAD' });
+    assert.equal(parsed.total, 1500);
+    assert.equal(parsed.currency, 'EUR');
+});
+
+const totalOf = (text) => parseReceipt(text, { tripCurrencies: ['EUR'], homeCurrency: 'CAD' }).total;
+
+test('keeps total lines that contain a cash or discount word inside another word', () => {
+    for (const line of ['Exchange total 12,50', 'Cashmere Shop total 12,50', 'Discounters TOTALE 12,50', 'Prestobonus Totale 12,50']) {
+        assert.equal(totalOf(`Total items 2\n${line}`), 12.5, line);
+    }
+});
+
+test('ranks lines with a whole cash, change or savings word below the total', () => {
+    for (const line of ['Total cash 20,00', 'Change total 20,00', 'Tendered total 20,00', 'Resto totale 20,00', 'You saved total 20,00']) {
+        assert.equal(totalOf(`TOTAL 12,50\n${line}`), 12.5, line);
+    }
+});